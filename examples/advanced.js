@@ -52,7 +52,7 @@ async function advancedExample() {
     
     // Batch operation - create multiple products at once
     console.log('Creating products batch...');
-    const products = await productModel.createMany([
+    const { data: products } = await productModel.createMany([
       { name: 'Laptop', price: 999.99, stock: 10, categories: 'electronics,computers' },
       { name: 'Smartphone', price: 699.99, stock: 20, categories: 'electronics,phones' },
       { name: 'Headphones', price: 149.99, stock: 30, categories: 'electronics,audio' },
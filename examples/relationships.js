@@ -2,7 +2,7 @@
  * Relationships example for Google Sheets ORM
  * Shows how to implement one-to-many and many-to-many relationships
  */
-const { GoogleSheetsORM } = require('../lib');
+const { GoogleSheetsORM, hasMany, belongsTo, belongsToMany } = require('../lib');
 const fs = require('fs');
 
 async function relationshipsExample() {
@@ -28,6 +28,9 @@ async function relationshipsExample() {
         name: { type: 'string', required: true },
         bio: { type: 'string' },
         birthYear: { type: 'number' }
+      },
+      relations: {
+        books: hasMany('Book', 'authorId')
       }
     });
     
@@ -39,6 +42,10 @@ async function relationshipsExample() {
         authorId: { type: 'string', required: true }, // Foreign key to Author
         publishYear: { type: 'number' },
         genre: { type: 'string' }
+      },
+      relations: {
+        author: belongsTo('Author', 'authorId'),
+        tags: belongsToMany('Tag', { through: 'BookTag', foreignKey: 'bookId', otherKey: 'tagId' })
       }
     });
     
@@ -123,45 +130,45 @@ async function relationshipsExample() {
     
     console.log('Created book-tag associations');
     
-    // Implementing relationship queries
-    
+    // Relationship queries with eager loading
+    // Each `include` reads the related sheet once, however many records are loaded
+
     // 1. One-to-many: Get all books by an author
     console.log('Getting all books by George Orwell...');
-    const authorBooks = await bookModel.find({ authorId: author2.id });
-    console.log(`Found ${authorBooks.length} books by George Orwell:`);
-    
-    for (const book of authorBooks) {
+    const orwell = await authorModel.findById(author2.id, { include: 'books' });
+    console.log(`Found ${orwell.books.length} books by George Orwell:`);
+
+    for (const book of orwell.books) {
       console.log(`- ${book.title} (${book.publishYear})`);
     }
-    
+
     // 2. Many-to-one: Get author of a book
     console.log('\nGetting author of 1984...');
-    const book = await bookModel.findById(book2.id);
-    const bookAuthor = await authorModel.findById(book.authorId);
-    console.log(`The author of ${book.title} is ${bookAuthor.name}`);
-    
+    const book = await bookModel.findById(book2.id, { include: 'author' });
+    console.log(`The author of ${book.title} is ${book.author.name}`);
+
     // 3. Many-to-many: Get all tags for a book
     console.log('\nGetting all tags for Harry Potter...');
-    const bookTags = await bookTagModel.find({ bookId: book1.id });
-    const tagIds = bookTags.map(bt => bt.tagId);
-    
-    console.log(`Found ${tagIds.length} tags for Harry Potter:`);
-    for (const tagId of tagIds) {
-      const tag = await tagModel.findById(tagId);
+    const harryPotter = await bookModel.findById(book1.id, { include: 'tags' });
+
+    console.log(`Found ${harryPotter.tags.length} tags for Harry Potter:`);
+    for (const tag of harryPotter.tags) {
       console.log(`- ${tag.name}`);
     }
-    
-    // 4. Many-to-many: Get all books with a specific tag
-    console.log('\nGetting all books with the Classic tag...');
-    const classicBookTags = await bookTagModel.find({ tagId: tag1.id });
-    const bookIds = classicBookTags.map(bt => bt.bookId);
-    
-    console.log(`Found ${bookIds.length} books with the Classic tag:`);
-    for (const bookId of bookIds) {
-      const classicBook = await bookModel.findById(bookId);
-      console.log(`- ${classicBook.title}`);
+
+    // 4. Nested includes: every author with their books and each book's tags
+    console.log('\nListing authors with books and tags...');
+    const { data: authorsWithBooks } = await authorModel.findAll({
+      include: { books: ['tags'] }
+    });
+
+    for (const author of authorsWithBooks) {
+      console.log(`${author.name}:`);
+      for (const authorBook of author.books) {
+        console.log(`- ${authorBook.title} [${authorBook.tags.map(t => t.name).join(', ')}]`);
+      }
     }
-    
+
     // Custom relationship queries with aggregations
     
     // 1. Count books per author
@@ -71,7 +71,7 @@ async function runExample() {
     
     // Add categories
     console.log('Adding categories...');
-    const categories = await categoryModel.createMany([
+    const { data: categories } = await categoryModel.createMany([
       {
         name: 'Electronics',
         description: 'Electronic devices and accessories'
@@ -86,7 +86,7 @@ async function runExample() {
     
     // Add products
     console.log('Adding products...');
-    const products = await productModel.createMany([
+    const { data: products } = await productModel.createMany([
       {
         name: 'Laptop',
         categoryId: categories[0].id,
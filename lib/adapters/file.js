@@ -0,0 +1,305 @@
+/**
+ * File-backed storage adapter: a directory of CSV files (one per sheet) or an
+ * .xlsx workbook (one tab per sheet). Cells are kept as strings, like a Google
+ * Sheet, and every write replaces the file atomically.
+ */
+const fs = require('fs');
+const path = require('path');
+const { InMemoryWorksheet, toCell } = require('./memory');
+const { ConflictError, SchemaError } = require('../errors');
+
+/**
+ * Parse RFC 4180 CSV text
+ * @param {string} text - CSV contents
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Format rows as CSV, quoting only the fields that need it
+ * @param {Array<Array<string>>} rows - Rows of fields
+ * @returns {string} CSV text
+ */
+function formatCsv(rows) {
+  const quote = (value) => (/[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Drop trailing rows with no values (left behind by editors and blank lines)
+ * @param {Array<Array<string>>} rows - Rows of cells
+ * @returns {Array<Array<string>>} Trimmed rows
+ */
+function trimEmptyRows(rows) {
+  let end = rows.length;
+  while (end > 0 && rows[end - 1].every(value => value === '')) end--;
+  return rows.slice(0, end);
+}
+
+/**
+ * Read an ExcelJS cell value as a sheet-style string
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} Cell value
+ */
+function cellText(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.error !== undefined) return String(value.error);
+  }
+  return toCell(value);
+}
+
+/**
+ * Write a file by renaming a fully written temporary file over it, so readers
+ * never see a partial write
+ * @param {string} file - Target path
+ * @param {string|Buffer} data - Contents
+ */
+async function writeFileAtomic(file, data) {
+  const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    await fs.promises.writeFile(temp, data);
+    await fs.promises.rename(temp, file);
+  } catch (error) {
+    await fs.promises.unlink(temp).catch(() => {});
+    throw error;
+  }
+}
+
+function loadExcelJS() {
+  try {
+    return require('exceljs');
+  } catch (error) {
+    throw new SchemaError('Reading .xlsx files requires the exceljs package (npm install exceljs)', { cause: error });
+  }
+}
+
+class FileWorksheet extends InMemoryWorksheet {
+  /**
+   * @param {FileAdapter} adapter - Owning adapter, which writes the file
+   * @param {string} title - Worksheet title
+   * @param {Array<string>} headerValues - Header row
+   * @param {Array<Array>} [values] - Data rows
+   */
+  constructor(adapter, title, headerValues, values) {
+    super(title, headerValues, values);
+    this.adapter = adapter;
+  }
+
+  /**
+   * Apply a change and write it to disk, undoing it in memory if the write fails
+   * @param {Function} change - Async change to the in-memory values
+   */
+  async _write(change) {
+    const previousHeader = [...this.headerValues];
+    const previous = this.values.map(values => [...values]);
+    const result = await change();
+
+    try {
+      await this.adapter._persist(this);
+    } catch (error) {
+      this.headerValues = previousHeader;
+      this.values = previous;
+      throw error;
+    }
+    return result;
+  }
+
+  async addRows(records) {
+    return this._write(() => super.addRows(records));
+  }
+
+  async saveRows(rows) {
+    return this._write(() => super.saveRows(rows));
+  }
+
+  async deleteRows(rows) {
+    return this._write(() => super.deleteRows(rows));
+  }
+
+  async setHeaderValues(headerValues) {
+    return this._write(() => super.setHeaderValues(headerValues));
+  }
+
+  async deleteColumn(index) {
+    return this._write(() => super.deleteColumn(index));
+  }
+}
+
+class FileAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.path - Directory of CSV files, or a path ending in .xlsx
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new SchemaError('FileAdapter requires a path');
+    }
+
+    this.path = path.resolve(options.path);
+    this.format = path.extname(this.path).toLowerCase() === '.xlsx' ? 'xlsx' : 'csv';
+    this.sheets = {};
+    this._workbook = null;
+    this._writes = Promise.resolve();
+  }
+
+  /**
+   * Load every sheet from disk. The files are read once; edits made to them
+   * while connected are not picked up.
+   */
+  async connect() {
+    this.sheets = {};
+
+    if (this.format === 'xlsx') {
+      await this._loadWorkbook();
+    } else {
+      await this._loadDirectory();
+    }
+    return this;
+  }
+
+  async _loadDirectory() {
+    await fs.promises.mkdir(this.path, { recursive: true });
+    const files = (await fs.promises.readdir(this.path))
+      .filter(file => path.extname(file).toLowerCase() === '.csv');
+
+    for (const file of files) {
+      const text = await fs.promises.readFile(path.join(this.path, file), 'utf8');
+      this._addWorksheet(path.basename(file, path.extname(file)), parseCsv(text));
+    }
+  }
+
+  async _loadWorkbook() {
+    const ExcelJS = loadExcelJS();
+    this._workbook = new ExcelJS.Workbook();
+
+    if (fs.existsSync(this.path)) {
+      await this._workbook.xlsx.readFile(this.path);
+    }
+
+    this._workbook.worksheets.forEach(worksheet => {
+      const sheetValues = worksheet.getSheetValues();
+      const rows = [];
+      for (let i = 1; i < sheetValues.length; i++) {
+        rows.push(Array.from((sheetValues[i] || []).slice(1), cellText));
+      }
+      this._addWorksheet(worksheet.name, rows).hidden = worksheet.state !== 'visible';
+    });
+  }
+
+  _addWorksheet(title, rows) {
+    const [headerValues = [], ...values] = trimEmptyRows(rows);
+    let width = headerValues.length;
+    while (width > 0 && !headerValues[width - 1]) width--;
+
+    this.sheets[title] = new FileWorksheet(this, title, headerValues.slice(0, width), values);
+    return this.sheets[title];
+  }
+
+  async getSheet(title) {
+    return this.sheets[title] || null;
+  }
+
+  /**
+   * @param {string} title - Worksheet title
+   * @param {Array<string>} headerValues - Header row
+   * @param {Object} [options] - { hidden }; CSV files can't be hidden
+   * @returns {FileWorksheet} The new worksheet
+   */
+  async addSheet(title, headerValues, options = {}) {
+    if (this.sheets[title]) {
+      throw new ConflictError(`A sheet named '${title}' already exists`);
+    }
+
+    const sheet = this._addWorksheet(title, [headerValues]);
+    sheet.hidden = Boolean(options.hidden);
+    try {
+      await this._persist(sheet);
+    } catch (error) {
+      delete this.sheets[title];
+      const worksheet = this._workbook && this._workbook.getWorksheet(title);
+      if (worksheet) this._workbook.removeWorksheet(worksheet.id);
+      throw error;
+    }
+    return sheet;
+  }
+
+  /**
+   * Queue a write of one sheet; writes run one at a time so they can't interleave
+   * @param {FileWorksheet} sheet - Sheet to write
+   */
+  _persist(sheet) {
+    const write = this._writes.then(() => (this.format === 'xlsx'
+      ? this._writeWorkbook(sheet)
+      : this._writeCsv(sheet)));
+
+    this._writes = write.catch(() => {});
+    return write;
+  }
+
+  async _writeCsv(sheet) {
+    const file = path.join(this.path, `${sheet.title}.csv`);
+    await writeFileAtomic(file, formatCsv([sheet.headerValues, ...sheet.values]));
+  }
+
+  async _writeWorkbook(sheet) {
+    const worksheet = this._workbook.getWorksheet(sheet.title) ||
+      this._workbook.addWorksheet(sheet.title, { state: sheet.hidden ? 'hidden' : 'visible' });
+    const rows = [sheet.headerValues, ...sheet.values];
+
+    rows.forEach((values, i) => {
+      // Leave empty cells blank rather than storing empty strings
+      worksheet.getRow(i + 1).values = values.map(value => (value === '' ? null : value));
+    });
+    if (worksheet.rowCount > rows.length) {
+      worksheet.spliceRows(rows.length + 1, worksheet.rowCount - rows.length);
+    }
+
+    await writeFileAtomic(this.path, await this._workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = FileAdapter;
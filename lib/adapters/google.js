@@ -0,0 +1,207 @@
+/**
+ * Google Sheets storage adapter, backed by google-spreadsheet
+ */
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { columnToLetter } = require('../utils');
+const { AuthError } = require('../errors');
+const { RetryPolicy, scheduledRequest } = require('../retry');
+const { RequestScheduler } = require('../scheduler');
+
+// Reads, and writes that overwrite fixed ranges, are safe to repeat
+const IDEMPOTENT = { idempotent: true };
+
+class GoogleSheetsWorksheet {
+  /**
+   * @param {GoogleSheetsAdapter} adapter - Connected adapter, which runs the API calls
+   * @param {GoogleSpreadsheetWorksheet} sheet - Worksheet to wrap
+   */
+  constructor(adapter, sheet) {
+    this.adapter = adapter;
+    this.doc = adapter.doc;
+    this.native = sheet;
+    this.title = sheet.title;
+  }
+
+  /**
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.reload] - Read the header row again
+   * @returns {Array<string>} Header row values
+   */
+  async getHeaderValues(options = {}) {
+    if (options.reload || !this.native.headerValues) {
+      await this.adapter.request(() => this.native.loadHeaderRow(), IDEMPOTENT);
+    }
+    return this.native.headerValues;
+  }
+
+  /**
+   * Replace the header row, growing the sheet if it has too few columns
+   * @param {Array<string>} headerValues - New header row
+   */
+  async setHeaderValues(headerValues) {
+    if (headerValues.length > this.native.columnCount) {
+      await this.adapter.request(() => this.native.resize({
+        rowCount: this.native.rowCount,
+        columnCount: headerValues.length
+      }), IDEMPOTENT);
+    }
+    await this.adapter.request(() => this.native.setHeaderRow(headerValues), IDEMPOTENT);
+  }
+
+  /**
+   * Delete a whole column, header included
+   * @param {number} index - Zero-based column index
+   */
+  async deleteColumn(index) {
+    await this.adapter.request(() => this.doc._makeBatchUpdateRequest([{
+      deleteDimension: {
+        range: {
+          sheetId: this.native.sheetId,
+          dimension: 'COLUMNS',
+          startIndex: index,
+          endIndex: index + 1
+        }
+      }
+    }]));
+    await this.adapter.request(() => this.native.loadHeaderRow(), IDEMPOTENT);
+  }
+
+  /**
+   * @param {Object} [options] - { offset, limit }
+   * @returns {Array} Rows with one property per header
+   */
+  async getRows(options) {
+    return this.adapter.request(() => this.native.getRows(options), IDEMPOTENT);
+  }
+
+  /**
+   * @param {Array<Object>} records - Records to append
+   * @returns {Array} The appended rows
+   */
+  async addRows(records) {
+    return this.adapter.request(() => this.native.addRows(records));
+  }
+
+  /**
+   * Read one column of the data rows without fetching whole rows
+   * @param {number} index - Zero-based column index
+   * @returns {Array} Cell values, one per data row
+   */
+  async getColumn(index) {
+    const letter = columnToLetter(index + 1);
+    const values = await this.adapter.request(() => this.native.getCellsInRange(`${letter}2:${letter}`), IDEMPOTENT);
+    return (values || []).map(([value]) => value);
+  }
+
+  /**
+   * Write several rows back in a single values:batchUpdate call. The call
+   * overwrites fixed ranges, so it is safe to retry.
+   * @param {Array} rows - Modified rows
+   */
+  async saveRows(rows) {
+    if (!rows.length) return;
+
+    const data = rows.map(row => ({
+      range: row.a1Range,
+      majorDimension: 'ROWS',
+      values: [row._rawData]
+    }));
+    await this.adapter.request(() => this.doc.axios.post('/values:batchUpdate', {
+      valueInputOption: 'USER_ENTERED',
+      data
+    }), IDEMPOTENT);
+  }
+
+  /**
+   * Delete several rows in a single batchUpdate call
+   * @param {Array} rows - Rows to delete
+   */
+  async deleteRows(rows) {
+    if (!rows.length) return;
+
+    // Delete bottom-up so the remaining row numbers stay valid within the batch
+    const requests = [...rows]
+      .sort((a, b) => b.rowNumber - a.rowNumber)
+      .map(row => ({
+        deleteDimension: {
+          range: {
+            sheetId: this.native.sheetId,
+            dimension: 'ROWS',
+            startIndex: row.rowNumber - 1,
+            endIndex: row.rowNumber
+          }
+        }
+      }));
+
+    await this.adapter.request(() => this.doc._makeBatchUpdateRequest(requests));
+  }
+}
+
+class GoogleSheetsAdapter {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.spreadsheetId - Google Spreadsheet ID
+   * @param {Object} [config.credentials] - Service account credentials
+   * @param {string} [config.apiKey] - Google API key
+   * @param {Object|boolean} [config.retry] - Retry options for API calls (see RetryPolicy), or false
+   * @param {RequestScheduler} [config.scheduler] - Shared scheduler; by default one is made from config.rateLimit
+   * @param {Object|boolean} [config.rateLimit] - Limits for a scheduler of its own (see RequestScheduler)
+   */
+  constructor(config) {
+    this.config = config;
+    this.doc = null;
+    this.retry = new RetryPolicy(config.retry);
+    this.scheduler = config.scheduler || new RequestScheduler(config.rateLimit);
+  }
+
+  /**
+   * Run one API call with this adapter's retry policy and scheduler
+   * @param {Function} request - Async function making the call
+   * @param {Object} [options] - { idempotent }, see RetryPolicy#run
+   * @returns {*} The call's result
+   */
+  request(request, options) {
+    return scheduledRequest(this.retry, this.scheduler, request, options);
+  }
+
+  /**
+   * Authenticate and load the spreadsheet info
+   */
+  async connect() {
+    this.doc = new GoogleSpreadsheet(this.config.spreadsheetId);
+
+    if (this.config.credentials) {
+      await this.request(() => this.doc.useServiceAccountAuth(this.config.credentials), IDEMPOTENT);
+    } else if (this.config.apiKey) {
+      this.doc.useApiKey(this.config.apiKey);
+    } else {
+      throw new AuthError('No authentication provided for Google Sheets (credentials or apiKey)');
+    }
+
+    await this.request(() => this.doc.loadInfo(), IDEMPOTENT);
+    return this;
+  }
+
+  /**
+   * @param {string} title - Worksheet title
+   * @returns {GoogleSheetsWorksheet|null} The worksheet, or null if missing
+   */
+  async getSheet(title) {
+    const sheet = this.doc.sheetsByTitle[title];
+    return sheet ? new GoogleSheetsWorksheet(this, sheet) : null;
+  }
+
+  /**
+   * @param {string} title - Worksheet title
+   * @param {Array<string>} headerValues - Header row
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.hidden] - Hide the tab in the Sheets UI
+   * @returns {GoogleSheetsWorksheet} The new worksheet
+   */
+  async addSheet(title, headerValues, options = {}) {
+    const sheet = await this.request(() => this.doc.addSheet({ title, headerValues, hidden: Boolean(options.hidden) }));
+    return new GoogleSheetsWorksheet(this, sheet);
+  }
+}
+
+module.exports = GoogleSheetsAdapter;
@@ -0,0 +1,22 @@
+/**
+ * Storage adapters for Google Sheets ORM
+ *
+ * An adapter provides connect(), getSheet(title) and addSheet(title, headerValues).
+ * The worksheets it returns provide:
+ * - getHeaderValues({ reload }) / setHeaderValues(headerValues)
+ * - getRows({ offset, limit }) - rows with one property per header, plus rowNumber and _rawData
+ * - addRows(records)
+ * - getColumn(index) - one column of the data rows
+ * - saveRows(rows) / deleteRows(rows) - batched writes
+ * - deleteColumn(index) - remove a column, header included
+ * - native - the underlying worksheet object
+ */
+const GoogleSheetsAdapter = require('./google');
+const { InMemoryAdapter } = require('./memory');
+const FileAdapter = require('./file');
+
+module.exports = {
+  GoogleSheetsAdapter,
+  InMemoryAdapter,
+  FileAdapter
+};
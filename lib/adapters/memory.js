@@ -0,0 +1,159 @@
+/**
+ * In-memory storage adapter for tests and offline development.
+ * Behaves like a Google Sheet: row 1 holds the headers and every cell is a string.
+ */
+const { ConflictError } = require('../errors');
+
+/**
+ * Store a value the way a sheet cell would
+ * @param {*} value - Value to store
+ * @returns {string} Cell value
+ */
+function toCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+class InMemoryRow {
+  /**
+   * @param {InMemoryWorksheet} sheet - Owning worksheet
+   * @param {number} rowNumber - 1-based sheet row number (the header is row 1)
+   * @param {Array<string>} rawData - Cell values
+   */
+  constructor(sheet, rowNumber, rawData) {
+    this._sheet = sheet;
+    this._rowNumber = rowNumber;
+    this._rawData = rawData;
+
+    sheet.headerValues.forEach((header, i) => {
+      Object.defineProperty(this, header, {
+        get: () => this._rawData[i],
+        set: (value) => { this._rawData[i] = value; },
+        enumerable: true
+      });
+    });
+  }
+
+  get rowNumber() { return this._rowNumber; }
+  get a1Range() { return `${this._sheet.title}!A${this._rowNumber}`; }
+}
+
+class InMemoryWorksheet {
+  /**
+   * @param {string} title - Worksheet title
+   * @param {Array<string>} headerValues - Header row
+   * @param {Array<Array>} [values] - Data rows
+   */
+  constructor(title, headerValues, values = []) {
+    this.title = title;
+    this.headerValues = [...headerValues];
+    this.values = values.map(row => this._toCells(row));
+    this.hidden = false;
+  }
+
+  /**
+   * The worksheet itself; mirrors GoogleSheetsWorksheet#native
+   */
+  get native() {
+    return this;
+  }
+
+  _toCells(values) {
+    return this.headerValues.map((header, i) => toCell(values[i]));
+  }
+
+  async getHeaderValues() {
+    return this.headerValues;
+  }
+
+  async setHeaderValues(headerValues) {
+    this.headerValues = [...headerValues];
+    this.values = this.values.map(row => this._toCells(row));
+  }
+
+  async deleteColumn(index) {
+    this.headerValues.splice(index, 1);
+    this.values.forEach(row => row.splice(index, 1));
+  }
+
+  async getRows(options = {}) {
+    const offset = options.offset || 0;
+    const end = options.limit === undefined ? undefined : offset + options.limit;
+
+    return this.values
+      .slice(offset, end)
+      .map((values, i) => new InMemoryRow(this, offset + i + 2, [...values]));
+  }
+
+  async addRows(records) {
+    return records.map(record => {
+      const values = this.headerValues.map(header => toCell(record[header]));
+      this.values.push(values);
+      return new InMemoryRow(this, this.values.length + 1, [...values]);
+    });
+  }
+
+  async getColumn(index) {
+    return this.values.map(values => values[index]);
+  }
+
+  async saveRows(rows) {
+    rows.forEach(row => {
+      const values = this._toCells(row._rawData);
+      this.values[row.rowNumber - 2] = values;
+      row._rawData = [...values];
+    });
+  }
+
+  async deleteRows(rows) {
+    [...rows]
+      .sort((a, b) => b.rowNumber - a.rowNumber)
+      .forEach(row => this.values.splice(row.rowNumber - 2, 1));
+  }
+}
+
+class InMemoryAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {Object} [options.sheets] - Initial sheets as { title: [headerRow, ...dataRows] }
+   */
+  constructor(options = {}) {
+    this.sheets = {};
+
+    Object.entries(options.sheets || {}).forEach(([title, [headerValues = [], ...rows]]) => {
+      this.sheets[title] = new InMemoryWorksheet(title, headerValues, rows);
+    });
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async getSheet(title) {
+    return this.sheets[title] || null;
+  }
+
+  /**
+   * @param {string} title - Worksheet title
+   * @param {Array<string>} headerValues - Header row
+   * @param {Object} [options] - { hidden }
+   * @returns {InMemoryWorksheet} The new worksheet
+   */
+  async addSheet(title, headerValues, options = {}) {
+    if (this.sheets[title]) {
+      throw new ConflictError(`A sheet named '${title}' already exists`);
+    }
+
+    this.sheets[title] = new InMemoryWorksheet(title, headerValues);
+    this.sheets[title].hidden = Boolean(options.hidden);
+    return this.sheets[title];
+  }
+}
+
+module.exports = {
+  InMemoryAdapter,
+  InMemoryWorksheet,
+  toCell
+};
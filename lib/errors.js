@@ -0,0 +1,217 @@
+/**
+ * Error classes for Google Sheets ORM. Every error the ORM throws on purpose
+ * extends SheetsORMError; errors from the Sheets API or the file system are
+ * wrapped in the closest matching class and kept as `cause`.
+ */
+
+const CONNECTION_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE'];
+
+/**
+ * Base class for all ORM errors
+ */
+class SheetsORMError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Options
+   * @param {Error} [options.cause] - Underlying error
+   * @param {number} [options.status] - HTTP status of the failed request, if any
+   */
+  constructor(message, options = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    if (options.cause !== undefined) this.cause = options.cause;
+    if (options.status !== undefined) this.status = options.status;
+  }
+}
+
+/**
+ * The backend could not be reached
+ */
+class ConnectionError extends SheetsORMError {}
+
+/**
+ * Credentials are missing, invalid, or lack access to the spreadsheet
+ */
+class AuthError extends SheetsORMError {}
+
+/**
+ * A spreadsheet, sheet, column or model does not exist
+ */
+class NotFoundError extends SheetsORMError {}
+
+/**
+ * A write clashes with data that is already stored
+ */
+class ConflictError extends SheetsORMError {}
+
+/**
+ * The API rejected a request because a rate limit or quota was exceeded
+ */
+class QuotaExceededError extends SheetsORMError {}
+
+/**
+ * A model definition or sheet layout is invalid, or a schema change failed
+ */
+class SchemaError extends SheetsORMError {}
+
+/**
+ * Thrown when a write would duplicate a value in a unique field
+ */
+class UniqueConstraintError extends ConflictError {
+  /**
+   * @param {Object} details - Violation details
+   * @param {string} details.model - Model name
+   * @param {string} details.field - Unique field
+   * @param {*} details.value - Duplicated value
+   * @param {Object} details.conflict - The record that already holds the value
+   * @param {*} [details.conflictId] - Primary key of that record, if it is stored
+   */
+  constructor({ model, field, value, conflict, conflictId }) {
+    const against = conflictId !== undefined
+      ? `conflicts with record '${conflictId}'`
+      : 'duplicated within the batch';
+    super(`Duplicate value '${value}' for unique field '${field}' in ${model} (${against})`);
+
+    this.model = model;
+    this.field = field;
+    this.value = value;
+    this.conflict = conflict;
+    this.conflictId = conflictId;
+  }
+}
+
+/**
+ * Thrown when a record changed after the caller read it (optimistic locking)
+ */
+class VersionConflictError extends ConflictError {
+  /**
+   * @param {Object} details - Conflict details
+   * @param {string} details.model - Model name
+   * @param {*} details.id - Primary key of the record
+   * @param {string} details.field - Concurrency token compared ('version' or 'updatedAt')
+   * @param {*} details.expected - Token the caller read
+   * @param {*} details.actual - Token now stored in the sheet
+   */
+  constructor({ model, id, field, expected, actual }) {
+    super(`Record '${id}' in ${model} was changed by someone else (expected ${field} ${expected}, found ${actual})`);
+
+    this.model = model;
+    this.id = id;
+    this.field = field;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Thrown when a lock could not be taken before the timeout
+ */
+class LockTimeoutError extends ConflictError {
+  /**
+   * @param {string} lock - Lock name
+   * @param {number} timeout - How long the caller waited, in ms
+   * @param {string} [holder] - Owner of the claim that was in the way
+   */
+  constructor(lock, timeout, holder) {
+    super(`Timed out after ${timeout}ms waiting for lock '${lock}'${holder ? ` (held by ${holder})` : ''}`);
+
+    this.lock = lock;
+    this.holder = holder;
+  }
+}
+
+/**
+ * Thrown when data fails schema validation
+ */
+class ValidationError extends SheetsORMError {
+  /**
+   * @param {Array<Object>} errors - One { field, rule, message, value } entry per problem
+   * @param {string} [message] - Overall message; defaults to the joined entry messages
+   * @param {Object} [options] - Options, as for SheetsORMError
+   */
+  constructor(errors, message, options) {
+    super(message || `Validation failed: ${errors.map(error => error.message).join(', ')}`, options);
+
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when a transaction failed and some of its writes could not be undone
+ */
+class RollbackError extends SheetsORMError {
+  /**
+   * @param {Error} cause - Error that made the transaction fail
+   * @param {Array<Error>} errors - Failures while undoing writes
+   */
+  constructor(cause, errors) {
+    super(`Transaction failed and ${errors.length} write(s) could not be undone: ${cause.message}`, { cause });
+
+    this.errors = errors;
+  }
+}
+
+/**
+ * HTTP status of a failed request, from axios/gaxios errors
+ * @param {Error} error - Error to inspect
+ * @returns {number|undefined} Status code
+ */
+function statusOf(error) {
+  if (error.response && error.response.status) return error.response.status;
+  if (typeof error.status === 'number') return error.status;
+  if (typeof error.code === 'number') return error.code;
+  return undefined;
+}
+
+/**
+ * Pick the error class for an error thrown by a backend
+ * @param {Error} error - Error to classify
+ * @param {Function} fallback - Class to use when nothing more specific fits
+ * @returns {Function} Error class
+ */
+function classify(error, fallback) {
+  const status = statusOf(error);
+
+  // Google reports some quota errors as 403 with a rate limit reason
+  if (status === 429 || /quota|rate limit/i.test(error.message)) return QuotaExceededError;
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status === 409) return ConflictError;
+  if (CONNECTION_CODES.includes(error.code)) return ConnectionError;
+  return fallback;
+}
+
+/**
+ * Wrap an error with context. ORM errors already carry their kind and are
+ * returned unchanged; anything else becomes the matching ORM error with the
+ * original as `cause`.
+ * @param {Error} error - Error that was caught
+ * @param {string} context - What was being done, e.g. "Error creating record in Users"
+ * @param {Function} [fallback=SheetsORMError] - Class when the error can't be classified
+ * @returns {SheetsORMError} Error to throw
+ */
+function wrapError(error, context, fallback = SheetsORMError) {
+  if (error instanceof SheetsORMError) return error;
+
+  const ErrorClass = classify(error, fallback);
+  return new ErrorClass(`${context}: ${error.message}`, { cause: error, status: statusOf(error) });
+}
+
+module.exports = {
+  SheetsORMError,
+  ConnectionError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  QuotaExceededError,
+  SchemaError,
+  UniqueConstraintError,
+  VersionConflictError,
+  LockTimeoutError,
+  ValidationError,
+  RollbackError,
+  CONNECTION_CODES,
+  statusOf,
+  wrapError
+};
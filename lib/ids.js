@@ -0,0 +1,78 @@
+/**
+ * Primary key generators for a model's idStrategy. All of them use
+ * crypto-strength randomness, so ids made in the same millisecond, or by
+ * different processes, don't collide.
+ */
+const crypto = require('crypto');
+
+const CROCKFORD = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const URL_SAFE = 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict';
+
+/**
+ * Random version 4 UUID, e.g. '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d'
+ * @returns {string} UUID
+ */
+function uuid() {
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+let lastTime = -1;
+let lastRandom = [];
+
+/**
+ * ULID: 10 characters of timestamp and 16 of randomness in Crockford base32,
+ * e.g. '01ARZ3NDEKTSV4RRFFQ69G5FAV'. ULIDs sort by creation time; ids made in
+ * the same millisecond by this process increase monotonically.
+ * @param {number} [now] - Timestamp in ms
+ * @returns {string} ULID
+ */
+function ulid(now = Date.now()) {
+  if (now <= lastTime) {
+    // Same millisecond (or a clock step back): bump the previous random part
+    let i = lastRandom.length - 1;
+    while (i >= 0 && lastRandom[i] === 31) {
+      lastRandom[i] = 0;
+      i--;
+    }
+    if (i >= 0) lastRandom[i]++;
+  } else {
+    lastTime = now;
+    lastRandom = [...crypto.randomBytes(16)].map(byte => byte & 31);
+  }
+
+  let time = '';
+  for (let i = 0, rest = lastTime; i < 10; i++, rest = Math.floor(rest / 32)) {
+    time = CROCKFORD[rest % 32] + time;
+  }
+  return time + lastRandom.map(digit => CROCKFORD[digit]).join('');
+}
+
+/**
+ * Short URL-safe random id, e.g. 'V1StGXR8_Z5jdHi6B-myT'
+ * @param {number} [size=21] - Length
+ * @returns {string} Id
+ */
+function nanoid(size = 21) {
+  return [...crypto.randomBytes(size)].map(byte => URL_SAFE[byte & 63]).join('');
+}
+
+/**
+ * Generators by idStrategy name. 'increment' needs the stored keys, so the
+ * model handles it.
+ */
+const ID_GENERATORS = { uuid, ulid, nanoid };
+
+const ID_STRATEGIES = [...Object.keys(ID_GENERATORS), 'increment'];
+
+module.exports = {
+  uuid,
+  ulid,
+  nanoid,
+  ID_GENERATORS,
+  ID_STRATEGIES
+};
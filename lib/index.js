@@ -5,12 +5,61 @@
 const GoogleSheetsORM = require('./orm');
 const Model = require('./model');
 const utils = require('./utils');
+const ids = require('./ids');
 const SheetsManager = require('./sheets');
+const QueryBuilder = require('./query');
+const Migrator = require('./migrations');
+const LockManager = require('./locks');
+const { Transaction } = require('./transaction');
+const { RetryPolicy } = require('./retry');
+const { RequestScheduler } = require('./scheduler');
+const { hasMany, hasOne, belongsTo, belongsToMany } = require('./relations');
+const {
+  SheetsORMError,
+  ConnectionError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  UniqueConstraintError,
+  VersionConflictError,
+  LockTimeoutError,
+  RollbackError,
+  QuotaExceededError,
+  SchemaError
+} = require('./errors');
+const { GoogleSheetsAdapter, InMemoryAdapter, FileAdapter } = require('./adapters');
 
 // Main export
 module.exports = {
   GoogleSheetsORM,
   Model,
   utils,
-  SheetsManager
+  ids,
+  SheetsManager,
+  QueryBuilder,
+  Migrator,
+  LockManager,
+  Transaction,
+  RetryPolicy,
+  RequestScheduler,
+  hasMany,
+  hasOne,
+  belongsTo,
+  belongsToMany,
+  SheetsORMError,
+  ConnectionError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  UniqueConstraintError,
+  VersionConflictError,
+  LockTimeoutError,
+  RollbackError,
+  QuotaExceededError,
+  SchemaError,
+  GoogleSheetsAdapter,
+  InMemoryAdapter,
+  FileAdapter
 };
@@ -0,0 +1,283 @@
+/**
+ * Cooperative locks shared by every process using a spreadsheet, backed by a
+ * hidden `_locks` sheet.
+ *
+ * The Sheets API has no compare-and-set, but appends are ordered. To take a
+ * lock, a process appends a claim row with a lease, reads the sheet back, and
+ * holds the lock if its claim is the earliest live claim for that name.
+ *
+ * The sheet is an append-only log: renewals and releases append rows carrying
+ * the claim's token rather than editing the claim. No process writes a row by
+ * position, so deleting rows can't redirect anyone's write, and deletes keep
+ * the claims in order. Dead rows are deleted by one process at a time, under
+ * the prune lock.
+ */
+const os = require('os');
+const { generateId } = require('./utils');
+const { ConflictError, LockTimeoutError, SchemaError } = require('./errors');
+
+const DEFAULT_LOCKS_SHEET = '_locks';
+const PRUNE_LOCK = '_prune';
+const LOCK_HEADERS = ['name', 'owner', 'token', 'acquiredAt', 'expiresAt', 'releasedAt'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LockManager {
+  /**
+   * @param {GoogleSheetsORM} orm - Connection whose spreadsheet holds the locks
+   * @param {Object} [options] - Options
+   * @param {string} [options.sheetName='_locks'] - Sheet that records claims
+   * @param {string} [options.owner] - Id written on claims; defaults to host, pid and a random suffix
+   * @param {number} [options.ttl=30000] - Lease length in ms; held locks are renewed at half of it
+   * @param {number} [options.timeout=60000] - How long acquire() waits, in ms
+   * @param {number} [options.retryDelay=250] - Pause between attempts, in ms
+   * @param {number} [options.pruneAfter=50] - Dead rows seen in the sheet that
+   *   make a release delete them; 0 leaves them for prune()
+   */
+  constructor(orm, options = {}) {
+    this.orm = orm;
+    this.sheetName = options.sheetName || DEFAULT_LOCKS_SHEET;
+    this.owner = options.owner || `${os.hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`;
+    this.ttl = options.ttl || 30000;
+    this.timeout = options.timeout === undefined ? 60000 : options.timeout;
+    this.retryDelay = options.retryDelay || 250;
+    this.pruneAfter = options.pruneAfter === undefined ? 50 : options.pruneAfter;
+    this._deadRows = 0;
+  }
+
+  async _getSheet() {
+    const adapter = await this.orm.getAdapter();
+    const existing = await adapter.getSheet(this.sheetName);
+    if (existing) return existing;
+
+    try {
+      return await adapter.addSheet(this.sheetName, LOCK_HEADERS, { hidden: true });
+    } catch (error) {
+      // Another process may have created it first
+      const sheet = await adapter.getSheet(this.sheetName);
+      if (sheet) return sheet;
+      throw error;
+    }
+  }
+
+  /**
+   * Read the log and fold it into one entry per token
+   * @param {Object} sheet - Locks worksheet
+   * @returns {Array<Object>} { token, claim, name, owner, expiresAt, releasedAt, rows }
+   *   where claim is the first claim row, or null if it was deleted
+   */
+  async _read(sheet) {
+    const byToken = new Map();
+    (await sheet.getRows()).forEach(row => {
+      if (!row.token) return;
+      if (!byToken.has(row.token)) {
+        byToken.set(row.token, { token: row.token, claim: null, expiresAt: 0, releasedAt: null, rows: [] });
+      }
+
+      const entry = byToken.get(row.token);
+      entry.rows.push(row);
+      if (row.acquiredAt && !entry.claim) {
+        Object.assign(entry, { claim: row, name: row.name, owner: row.owner });
+      }
+      if (row.expiresAt) entry.expiresAt = Math.max(entry.expiresAt, Date.parse(row.expiresAt) || 0);
+      if (row.releasedAt) entry.releasedAt = row.releasedAt;
+    });
+
+    const entries = [...byToken.values()];
+    this._deadRows = this._deletableRows(entries).length;
+    return entries;
+  }
+
+  _isLive(entry, now) {
+    return Boolean(entry.claim) && !entry.releasedAt && entry.expiresAt > now;
+  }
+
+  /**
+   * Whether a claim is over for good: released, or expired more than a lease
+   * ago, so its owner has stopped renewing it
+   */
+  _isDead(entry, now) {
+    return !entry.claim || Boolean(entry.releasedAt) || entry.expiresAt + this.ttl < now;
+  }
+
+  /**
+   * Rows that can go: every row of a dead claim, and the renewals of a live
+   * one that a later renewal superseded. The claim row keeps its place in
+   * line, the latest renewal its lease.
+   * @param {Array<Object>} entries - Entries from _read
+   * @param {string} [keep] - Token whose rows stay, e.g. the pruner's own
+   * @returns {Array} Rows to delete
+   */
+  _deletableRows(entries, keep) {
+    const now = Date.now();
+    return entries.filter(entry => entry.token !== keep).reduce((rows, entry) => {
+      if (this._isDead(entry, now)) return rows.concat(entry.rows);
+
+      const latest = entry.rows.reduce((best, row) => (Date.parse(row.expiresAt) >= Date.parse(best.expiresAt) ? row : best));
+      return rows.concat(entry.rows.filter(row => row !== entry.claim && row !== latest));
+    }, []);
+  }
+
+  /**
+   * Live claims for a lock, earliest first
+   * @param {Array<Object>} entries - Entries from _read
+   * @param {string} name - Lock name
+   * @returns {Array<Object>} Entries
+   */
+  _claims(entries, name) {
+    const now = Date.now();
+    return entries
+      .filter(entry => entry.name === name && this._isLive(entry, now))
+      .sort((a, b) => a.claim.rowNumber - b.claim.rowNumber);
+  }
+
+  /**
+   * Append the release of a claim; it covers every row with the token
+   */
+  async _markReleased(sheet, lock) {
+    await sheet.addRows([{ name: lock.name, owner: this.owner, token: lock.token, releasedAt: new Date().toISOString() }]);
+  }
+
+  /**
+   * Take a lock, waiting while another owner holds it
+   * @param {string} name - Lock name, e.g. a model name
+   * @param {Object} [options] - Overrides of the manager's ttl and timeout
+   * @returns {Object} The held lock: { name, owner, token, expiresAt, ttl }
+   */
+  async acquire(name, options = {}) {
+    if (!name) {
+      throw new SchemaError('A lock needs a name');
+    }
+
+    const ttl = options.ttl || this.ttl;
+    const timeout = options.timeout === undefined ? this.timeout : options.timeout;
+    const deadline = Date.now() + timeout;
+    const sheet = await this._getSheet();
+
+    for (;;) {
+      let [holder] = this._claims(await this._read(sheet), name);
+
+      if (!holder) {
+        const token = generateId();
+        const acquiredAt = new Date();
+        const expiresAt = new Date(acquiredAt.getTime() + ttl).toISOString();
+        await sheet.addRows([{ name, owner: this.owner, token, acquiredAt: acquiredAt.toISOString(), expiresAt }]);
+
+        [holder] = this._claims(await this._read(sheet), name);
+        if (holder && holder.token === token) {
+          return { name, owner: this.owner, token, expiresAt, ttl };
+        }
+
+        // Someone appended first: withdraw and wait like everyone else
+        await this._markReleased(sheet, { name, token });
+      }
+
+      if (Date.now() >= deadline) {
+        throw new LockTimeoutError(name, timeout, holder && holder.owner);
+      }
+      await sleep(Math.min(this.retryDelay * (0.5 + Math.random()), Math.max(deadline - Date.now(), 0)));
+    }
+  }
+
+  /**
+   * Push a held lock's expiry out by another lease
+   * @param {Object} lock - Lock returned by acquire()
+   */
+  async renew(lock) {
+    const sheet = await this._getSheet();
+    const entry = (await this._read(sheet)).find(item => item.token === lock.token);
+    if (!entry || !this._isLive(entry, Date.now())) {
+      throw new ConflictError(`Lock '${lock.name}' was lost before it could be renewed`);
+    }
+
+    const expiresAt = new Date(Date.now() + lock.ttl).toISOString();
+    await sheet.addRows([{ name: lock.name, owner: this.owner, token: lock.token, expiresAt }]);
+    lock.expiresAt = expiresAt;
+  }
+
+  /**
+   * Give up a held lock. Once the last read showed pruneAfter dead rows,
+   * delete them too, unless another process is already at it.
+   * @param {Object} lock - Lock returned by acquire()
+   */
+  async release(lock) {
+    const sheet = await this._getSheet();
+    await this._markReleased(sheet, lock);
+
+    if (this.pruneAfter && lock.name !== PRUNE_LOCK && this._deadRows >= this.pruneAfter) {
+      await this.prune({ timeout: 0 })
+        .catch(error => console.warn(`Could not prune lock claims: ${error.message}`));
+    }
+  }
+
+  /**
+   * Run fn while holding a lock, renewing the lease until it settles. If the
+   * lease lapses anyway, another process may take the lock: lock.lost is set
+   * so fn can stop early, and withLock rejects with it once fn returns.
+   * @param {string} name - Lock name
+   * @param {Function} fn - Async work to run; receives the lock
+   * @param {Object} [options] - Overrides of the manager's ttl and timeout
+   * @returns {*} What fn returns
+   * @throws {ConflictError} If the lease was lost while fn ran
+   */
+  async withLock(name, fn, options = {}) {
+    const lock = await this.acquire(name, options);
+    lock.lost = null;
+
+    const checkLease = (error) => {
+      if (lock.lost || (!(error instanceof ConflictError) && Date.now() < Date.parse(lock.expiresAt))) return;
+      lock.lost = new ConflictError(`Lock '${name}' was lost while it was held`, { cause: error });
+    };
+
+    // Chain renewals so release never races an in-flight renewal write
+    let renewal = Promise.resolve();
+    const timer = setInterval(() => {
+      renewal = renewal
+        .then(() => this.renew(lock))
+        .catch((error) => {
+          // A failed write leaves the lease valid until it expires; try again next time
+          console.warn(`Could not renew lock '${name}': ${error.message}`);
+          checkLease(error);
+        });
+    }, lock.ttl / 2);
+
+    let result;
+    try {
+      result = await fn(lock);
+    } finally {
+      clearInterval(timer);
+      await renewal;
+      checkLease();
+      await this.release(lock);
+    }
+
+    if (lock.lost) throw lock.lost;
+    return result;
+  }
+
+  /**
+   * Delete dead claims and superseded renewals while holding the prune lock,
+   * so that no two processes delete at once. Safe while locks are in use.
+   * @param {Object} [options] - Overrides of the manager's ttl and timeout
+   * @returns {number} Number of rows deleted; 0 if another process held the
+   *   prune lock past the timeout
+   */
+  async prune(options = {}) {
+    try {
+      return await this.withLock(PRUNE_LOCK, async (lock) => {
+        const sheet = await this._getSheet();
+        const rows = this._deletableRows(await this._read(sheet), lock.token);
+
+        await sheet.deleteRows(rows);
+        return rows.length;
+      }, options);
+    } catch (error) {
+      if (error instanceof LockTimeoutError) return 0;
+      throw error;
+    }
+  }
+}
+
+module.exports = LockManager;
@@ -0,0 +1,228 @@
+/**
+ * Schema migrations for Google Sheets ORM: column changes on existing sheets,
+ * value backfills, and up/down scripts recorded in a metadata sheet
+ */
+
+const { NotFoundError, SchemaError } = require('./errors');
+
+const DEFAULT_MIGRATIONS_SHEET = '_migrations';
+
+class Migrator {
+  /**
+   * @param {GoogleSheetsORM} orm - Connection the migrations run against
+   * @param {Object} [options] - Options
+   * @param {string} [options.sheetName='_migrations'] - Sheet that records applied migrations
+   */
+  constructor(orm, options = {}) {
+    this.orm = orm;
+    this.sheetName = options.sheetName || DEFAULT_MIGRATIONS_SHEET;
+  }
+
+  async _getSheet(sheetName) {
+    const adapter = await this.orm.getAdapter();
+    const sheet = await adapter.getSheet(sheetName);
+    if (!sheet) {
+      throw new NotFoundError(`Sheet '${sheetName}' not found`);
+    }
+    return sheet;
+  }
+
+  async _metadataSheet() {
+    const adapter = await this.orm.getAdapter();
+    return await adapter.getSheet(this.sheetName) ||
+      adapter.addSheet(this.sheetName, ['name', 'appliedAt']);
+  }
+
+  /**
+   * Reload the header row of initialized models stored on a sheet
+   * @param {string} sheetName - Changed sheet
+   */
+  async _refreshModels(sheetName) {
+    const models = Object.values(this.orm.models)
+      .filter(model => model.sheetName === sheetName && model._initialized);
+
+    for (const model of models) {
+      await model.refresh();
+    }
+  }
+
+  /**
+   * Add a column to the header row, optionally filling it in
+   * @param {string} sheetName - Sheet to change
+   * @param {string} column - New column name
+   * @param {Object} [options] - Options
+   * @param {*|Function} [options.backfill] - Value, or (row) => value, for existing rows
+   */
+  async addColumn(sheetName, column, options = {}) {
+    const sheet = await this._getSheet(sheetName);
+    const headers = await sheet.getHeaderValues();
+
+    if (headers.includes(column)) {
+      throw new SchemaError(`Column '${column}' already exists in ${sheetName}`);
+    }
+
+    await sheet.setHeaderValues([...headers, column]);
+    await this._refreshModels(sheetName);
+
+    if (options.backfill !== undefined) {
+      await this.backfill(sheetName, column, options.backfill);
+    }
+  }
+
+  /**
+   * Rename a column in the header row; cell values stay where they are
+   * @param {string} sheetName - Sheet to change
+   * @param {string} from - Current column name
+   * @param {string} to - New column name
+   */
+  async renameColumn(sheetName, from, to) {
+    const sheet = await this._getSheet(sheetName);
+    const headers = await sheet.getHeaderValues();
+
+    if (!headers.includes(from)) {
+      throw new NotFoundError(`Column '${from}' not found in ${sheetName}`);
+    }
+    if (headers.includes(to)) {
+      throw new SchemaError(`Column '${to}' already exists in ${sheetName}`);
+    }
+
+    await sheet.setHeaderValues(headers.map(header => (header === from ? to : header)));
+    await this._refreshModels(sheetName);
+  }
+
+  /**
+   * Delete a column and every value in it
+   * @param {string} sheetName - Sheet to change
+   * @param {string} column - Column to drop
+   */
+  async dropColumn(sheetName, column) {
+    const sheet = await this._getSheet(sheetName);
+    const index = (await sheet.getHeaderValues()).indexOf(column);
+
+    if (index === -1) {
+      throw new NotFoundError(`Column '${column}' not found in ${sheetName}`);
+    }
+
+    await sheet.deleteColumn(index);
+    await this._refreshModels(sheetName);
+  }
+
+  /**
+   * Fill in a column for existing rows, with one batched write
+   * @param {string} sheetName - Sheet to change
+   * @param {string} column - Column to fill
+   * @param {*|Function} value - Value, or (row) => value given the raw cell values
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.overwrite=false] - Replace non-empty cells too
+   * @returns {number} Number of rows changed
+   */
+  async backfill(sheetName, column, value, options = {}) {
+    const sheet = await this._getSheet(sheetName);
+    const headers = await sheet.getHeaderValues();
+
+    if (!headers.includes(column)) {
+      throw new NotFoundError(`Column '${column}' not found in ${sheetName}`);
+    }
+
+    const changed = (await sheet.getRows()).filter(row => {
+      const current = row[column];
+      if (!options.overwrite && current !== undefined && current !== null && current !== '') {
+        return false;
+      }
+
+      const cells = headers.reduce((result, header) => ({ ...result, [header]: row[header] }), {});
+      row[column] = typeof value === 'function' ? value(cells) : value;
+      return true;
+    });
+
+    await sheet.saveRows(changed);
+    await this._refreshModels(sheetName);
+    return changed.length;
+  }
+
+  /**
+   * @returns {Array<string>} Names of applied migrations, oldest first
+   */
+  async applied() {
+    const sheet = await this._metadataSheet();
+    const rows = await sheet.getRows();
+    return rows.map(row => row.name);
+  }
+
+  _validate(migrations) {
+    const names = new Set();
+    migrations.forEach(migration => {
+      if (!migration.name || typeof migration.up !== 'function') {
+        throw new SchemaError('Each migration needs a name and an up() function');
+      }
+      if (names.has(migration.name)) {
+        throw new SchemaError(`Duplicate migration name '${migration.name}'`);
+      }
+      names.add(migration.name);
+    });
+  }
+
+  /**
+   * Run every migration that has not been applied yet, in order
+   * @param {Array<Object>} migrations - [{ name, up(migrator, orm), down(migrator, orm) }]
+   * @returns {Array<string>} Names of the migrations that ran
+   */
+  async up(migrations) {
+    this._validate(migrations);
+
+    const applied = new Set(await this.applied());
+    const sheet = await this._metadataSheet();
+    const ran = [];
+
+    for (const migration of migrations.filter(item => !applied.has(item.name))) {
+      try {
+        await migration.up(this, this.orm);
+      } catch (error) {
+        throw new SchemaError(`Migration '${migration.name}' failed: ${error.message}`, { cause: error });
+      }
+
+      await sheet.addRows([{ name: migration.name, appliedAt: new Date().toISOString() }]);
+      ran.push(migration.name);
+    }
+
+    return ran;
+  }
+
+  /**
+   * Undo the most recently applied migrations
+   * @param {Array<Object>} migrations - The same list passed to up()
+   * @param {Object} [options] - Options
+   * @param {number} [options.steps=1] - How many migrations to undo
+   * @returns {Array<string>} Names of the migrations that were undone
+   */
+  async down(migrations, options = {}) {
+    this._validate(migrations);
+
+    const steps = options.steps === undefined ? 1 : options.steps;
+    const byName = new Map(migrations.map(migration => [migration.name, migration]));
+    const sheet = await this._metadataSheet();
+    const undone = [];
+
+    const applied = await sheet.getRows();
+    const rows = applied.slice(Math.max(applied.length - steps, 0)).reverse();
+    for (const row of rows) {
+      const migration = byName.get(row.name);
+      if (!migration || typeof migration.down !== 'function') {
+        throw new SchemaError(`Migration '${row.name}' cannot be undone: no down() script`);
+      }
+
+      try {
+        await migration.down(this, this.orm);
+      } catch (error) {
+        throw new SchemaError(`Rolling back migration '${row.name}' failed: ${error.message}`, { cause: error });
+      }
+
+      await sheet.deleteRows([row]);
+      undone.push(row.name);
+    }
+
+    return undone;
+  }
+}
+
+module.exports = Migrator;
@@ -1,55 +1,243 @@
 /**
  * Enhanced Model class for Google Sheets ORM with optimized data fetching
  */
-const { validateData, applyDefaults } = require('./utils');
+const crypto = require('crypto');
+const {
+  validateData,
+  applyDefaults,
+  filterRecords,
+  sortRecords,
+  compareRecords,
+  normalizeOrderBy,
+  applyQueryOptions,
+  isEmpty
+} = require('./utils');
+const QueryBuilder = require('./query');
+const { normalizeInclude, loadRelations } = require('./relations');
+const {
+  ConflictError,
+  NotFoundError,
+  SchemaError,
+  UniqueConstraintError,
+  ValidationError,
+  VersionConflictError,
+  wrapError
+} = require('./errors');
+const Migrator = require('./migrations');
+const { serializeValue, deserializeValue } = require('./types');
+const { ID_GENERATORS, ID_STRATEGIES } = require('./ids');
+
+const QUERY_OPTION_KEYS = ['where', 'orderBy', 'limit', 'offset', 'select', 'include', 'withDeleted', 'onlyDeleted'];
+const DELETE_RULES = ['cascade', 'restrict', 'setNull'];
+const DEFAULT_CACHE_TTL = 60000;
+const STRICT_MODES = ['error', 'warn', 'ignore'];
+const HOOK_NAMES = ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete', 'afterFind'];
 
 class Model {
   constructor(connection, options = {}) {
     this.connection = connection;
     this.sheetName = options.sheetName || this.constructor.name;
+    this.name = options.name || this.sheetName;
     this.primaryKey = options.primaryKey || 'id';
     this.schema = options.schema || {};
     this.timestamps = options.timestamps !== false;
+    this.paranoid = Boolean(options.paranoid);
+    this.versioning = Boolean(options.versioning);
+    this.relations = options.relations || {};
+    this.cache = options.cache
+      ? { ttl: DEFAULT_CACHE_TTL, ...(options.cache === true ? {} : options.cache) }
+      : null;
+    this.strict = options.strict || 'warn';
+    this.idStrategy = options.idStrategy !== undefined ? options.idStrategy : 'ulid';
+
+    if (!STRICT_MODES.includes(this.strict)) {
+      throw new SchemaError(`Invalid strict mode '${this.strict}' (expected ${STRICT_MODES.join(', ')})`);
+    }
+    if (this.idStrategy && typeof this.idStrategy !== 'function' && !ID_STRATEGIES.includes(this.idStrategy)) {
+      throw new SchemaError(`Invalid idStrategy '${this.idStrategy}' (expected ${ID_STRATEGIES.join(', ')} or a function)`);
+    }
+
+    this._referenceFields().forEach(([field, settings]) => {
+      const { model, onDelete = 'restrict' } = settings.references;
+      if (!model) {
+        throw new SchemaError(`Field '${field}' references must name a model`);
+      }
+      if (!DELETE_RULES.includes(onDelete)) {
+        throw new SchemaError(`Field '${field}' has invalid onDelete rule '${onDelete}'`);
+      }
+      if (onDelete === 'setNull' && settings.required) {
+        throw new SchemaError(`Field '${field}' is required, so it can't use onDelete 'setNull'`);
+      }
+    });
+
+    this._hooks = {};
+    Object.entries(options.hooks || {}).forEach(([name, hooks]) => {
+      [].concat(hooks).forEach(hook => this.on(name, hook));
+    });
 
     this._sheet = null;
     this._initialized = false;
     this._headerRow = null;
     this._columnMap = null;
+
+    this._pkIndex = new Map();
+    this._fieldIndexes = new Map();
+    this._indexSource = null;
+    this._rowCache = null;
+    this._pendingRows = null;
+    this._cacheGeneration = 0;
+    this._lastIncrement = 0;
+    this._lockQueues = new Map();
+  }
+
+  /**
+   * Register a lifecycle hook. Hooks run in the order they were added and may
+   * be async. They receive the payload and may change it in place; a hook that
+   * throws aborts the operation. After-hooks run once the write is done, so
+   * throwing there reports the error but does not undo the write.
+   * @param {string} name - beforeCreate, afterCreate, beforeUpdate, afterUpdate,
+   *   beforeDelete, afterDelete or afterFind
+   * @param {Function} hook - (payload, context) => void; context holds the model,
+   *   and for updates and deletes the id (and previous record, for updates)
+   * @returns {Model} This model, for chaining
+   */
+  on(name, hook) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new SchemaError(`Unknown hook '${name}' (expected ${HOOK_NAMES.join(', ')})`);
+    }
+    if (typeof hook !== 'function') {
+      throw new SchemaError(`Hook '${name}' must be a function`);
+    }
+
+    this._hooks[name] = [...(this._hooks[name] || []), hook];
+    return this;
+  }
+
+  /**
+   * Remove a hook added with on()
+   * @param {string} name - Hook name
+   * @param {Function} hook - The registered function
+   * @returns {Model} This model, for chaining
+   */
+  off(name, hook) {
+    this._hooks[name] = (this._hooks[name] || []).filter(registered => registered !== hook);
+    return this;
+  }
+
+  async _runHooks(name, payload, context = {}) {
+    for (const hook of this._hooks[name] || []) {
+      await hook(payload, { model: this, ...context });
+    }
+  }
+
+  /**
+   * Let afterFind hooks post-process loaded records
+   * @param {Array<Object>} records - Records about to be returned
+   * @returns {Array<Object>} The same records
+   */
+  async _afterFind(records) {
+    for (const record of records) {
+      await this._runHooks('afterFind', record);
+    }
+    return records;
   }
 
   async init() {
     if (this._initialized) return this;
 
     try {
-      const doc = await this.connection.getDoc();
-      let sheet = doc.sheetsByTitle[this.sheetName];
-
-      if (!sheet) {
-        sheet = await doc.addSheet({
-          title: this.sheetName,
-          headerValues: this._getHeaderValues()
-        });
-      }
-
-      this._sheet = sheet;
-      await this._loadHeaderRow();
+      await this._open();
+      this._checkDrift();
+      await this._loadIndex();
       this._initialized = true;
       return this;
     } catch (error) {
-      throw new Error(`Failed to initialize model ${this.sheetName}: ${error.message}`);
+      throw wrapError(error, `Failed to initialize model ${this.sheetName}`);
     }
   }
 
-  async _loadHeaderRow() {
-    const headerRows = await this._sheet.getRows({ offset: 0, limit: 1 });
-    this._headerRow = headerRows[0];
+  /**
+   * Load (or create) the worksheet and its header row, without checking the
+   * header against the schema
+   */
+  async _open() {
+    if (this._sheet) return;
+
+    const adapter = await this.connection.getAdapter();
+    const sheet = await adapter.getSheet(this.sheetName) ||
+      await adapter.addSheet(this.sheetName, this._getHeaderValues());
+
+    this._headerRow = await sheet.getHeaderValues();
+    this._columnMap = this._createColumnMap(this._headerRow);
+    this._sheet = sheet;
+  }
+
+  async _loadHeaderRow(options) {
+    this._headerRow = await this._sheet.getHeaderValues(options);
     this._columnMap = this._createColumnMap(this._headerRow);
   }
 
+  /**
+   * Compare the loaded header row with the schema
+   * @returns {Object} { missing, extra, reordered, hasDrift }
+   */
+  _drift() {
+    const expected = this._getHeaderValues();
+    const headers = this._headerRow.filter(header => header && !header.startsWith('_'));
+
+    const missing = expected.filter(field => !headers.includes(field));
+    const extra = headers.filter(header => !expected.includes(header));
+
+    const expectedOrder = expected.filter(field => headers.includes(field));
+    const actualOrder = headers.filter(header => expected.includes(header));
+    const reordered = actualOrder.filter((field, i) => expectedOrder[i] !== field);
+
+    return {
+      missing,
+      extra,
+      reordered,
+      hasDrift: missing.length > 0 || extra.length > 0 || reordered.length > 0
+    };
+  }
+
+  /**
+   * Apply the strict setting to header drift. Missing and extra columns
+   * count; a different column order is reported but harmless, since columns
+   * are looked up by name.
+   */
+  _checkDrift() {
+    if (this.strict === 'ignore') return;
+
+    const { missing, extra } = this._drift();
+    if (!missing.length && !extra.length) return;
+
+    const details = [
+      missing.length ? `missing columns ${missing.join(', ')}` : null,
+      extra.length ? `unexpected columns ${extra.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+    const message = `Sheet ${this.sheetName} does not match the ${this.name} schema: ${details}. ` +
+      'Run model.sync() or a migration to update the sheet.';
+
+    if (this.strict === 'error') {
+      throw new SchemaError(message);
+    }
+    console.warn(message);
+  }
+
+  /**
+   * Report how the sheet's header row differs from the schema
+   * @returns {Object} { missing, extra, reordered, hasDrift }
+   */
+  async describeDrift() {
+    await this._open();
+    await this._loadHeaderRow({ reload: true });
+    return this._drift();
+  }
+
   _createColumnMap(headerRow) {
     const map = {};
-    Object.keys(headerRow).forEach((key, index) => {
-      if (!key.startsWith('_')) {
+    headerRow.forEach((key, index) => {
+      if (key && !key.startsWith('_')) {
         map[key] = index;
       }
     });
@@ -62,6 +250,12 @@ class Model {
       if (!headers.includes('createdAt')) headers.push('createdAt');
       if (!headers.includes('updatedAt')) headers.push('updatedAt');
     }
+    if (this.versioning && !headers.includes('version')) {
+      headers.push('version');
+    }
+    if (this.paranoid && !headers.includes('deletedAt')) {
+      headers.push('deletedAt');
+    }
     return headers;
   }
 
@@ -84,114 +278,547 @@ class Model {
   }
 
   _convertValueType(field, value) {
-    const schema = this.schema[field];
-    if (!schema || !schema.type || value === null || value === undefined) {
-      return value;
+    if (field === 'version' && this.versioning && !this.schema.version) {
+      return value === '' ? 0 : Number(value);
+    }
+    return deserializeValue(value, this.schema[field]);
+  }
+
+  /**
+   * Convert a field value to what gets stored in its cell
+   */
+  _serializeValue(field, value) {
+    return serializeValue(value, this.schema[field]);
+  }
+
+  _serializeRecord(record) {
+    return Object.entries(record).reduce((result, [field, value]) => {
+      result[field] = this._serializeValue(field, value);
+      return result;
+    }, {});
+  }
+
+  /**
+   * Rebuild the primary key -> row number index from the key column alone
+   */
+  async _loadIndex() {
+    this._pkIndex = new Map();
+
+    const column = this._headerRow.indexOf(this.primaryKey);
+    if (column === -1) return;
+
+    const values = await this._sheet.getColumn(column);
+
+    values.forEach((key, i) => {
+      if (!isEmpty(key) && !this._pkIndex.has(String(key))) {
+        this._pkIndex.set(String(key), i + 2);
+      }
+    });
+  }
+
+  _uniqueFields() {
+    const fields = Object.keys(this.schema).filter(field => this.schema[field] && this.schema[field].unique);
+    return [this.primaryKey, ...fields.filter(field => field !== this.primaryKey)];
+  }
+
+  _indexedFields() {
+    const fields = Object.keys(this.schema).filter(field => this.schema[field] && this.schema[field].index);
+    return [...new Set([...this._uniqueFields(), ...fields])];
+  }
+
+  /**
+   * Index key for a stored cell value, or null if the cell is empty
+   */
+  _indexKey(field, value) {
+    const converted = this._convertValueType(field, value);
+    if (isEmpty(converted)) return null;
+    return converted instanceof Date ? String(converted.getTime()) : String(converted);
+  }
+
+  /**
+   * Index key for an equality condition, or null when the index can't answer
+   * it with the same result as a scan (e.g. loose comparisons across types)
+   */
+  _lookupKey(field, condition) {
+    const settings = this.schema[field] || {};
+    const type = (settings.type || 'string').toLowerCase();
+
+    const stringTypes = ['string', 'email', 'url', 'uuid'];
+
+    if (stringTypes.includes(type) && typeof condition === 'string') return condition;
+    if ((type === 'number' || type === 'integer') && typeof condition === 'number') return String(condition);
+    if (type === 'boolean' && typeof condition === 'boolean') return String(condition);
+    return null;
+  }
+
+  /**
+   * Rebuild the primary key and secondary indexes from a full read
+   * @param {Array} rows - Every data row of the sheet
+   */
+  _indexRows(rows) {
+    this._pkIndex = new Map();
+    this._fieldIndexes = new Map(this._indexedFields().map(field => [field, new Map()]));
+    this._indexSource = rows;
+
+    rows.forEach(row => {
+      const key = row[this.primaryKey];
+      if (!isEmpty(key) && !this._pkIndex.has(String(key))) {
+        this._pkIndex.set(String(key), row.rowNumber);
+      }
+
+      this._fieldIndexes.forEach((index, field) => {
+        const valueKey = this._indexKey(field, row[field]);
+        if (valueKey === null) return;
+        if (!index.has(valueKey)) index.set(valueKey, []);
+        index.get(valueKey).push(row);
+      });
+    });
+  }
+
+  /**
+   * Narrow rows down with a secondary index when the search has an equality
+   * condition on an indexed field
+   * @param {Array} rows - Rows being filtered
+   * @param {Object} search - Search criteria
+   * @returns {Array|null} Candidate rows, or null to scan everything
+   */
+  _indexCandidates(rows, search) {
+    if (rows !== this._indexSource) return null;
+
+    for (const [field, condition] of Object.entries(search)) {
+      const index = this._fieldIndexes.get(field);
+      if (!index) continue;
+
+      const value = condition && typeof condition === 'object' && Object.keys(condition).length === 1
+        ? condition.$eq
+        : condition;
+      const key = value === undefined ? null : this._lookupKey(field, value);
+      if (key !== null) return index.get(key) || [];
+    }
+
+    return null;
+  }
+
+  /**
+   * Reject records that would duplicate a primary key or unique field,
+   * either among themselves or against rows already in the sheet
+   * @param {Array<Object>} records - Records about to be written
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.fields] - Only check these fields
+   * @param {Array<string>} [options.exclude] - Primary keys of rows being rewritten
+   * @param {boolean} [options.indexed] - The key index was just read under the id lock
+   */
+  async _checkUnique(records, options = {}) {
+    const fields = this._uniqueFields().filter(field => !options.fields || options.fields.includes(field));
+    if (!fields.length) return;
+
+    const excluded = new Set((options.exclude || []).map(String));
+
+    // Duplicates inside the batch
+    fields.forEach(field => {
+      const seen = new Set();
+      records.forEach(record => {
+        const key = this._indexKey(field, record[field]);
+        if (key === null) return;
+        if (seen.has(key)) {
+          throw new UniqueConstraintError({ model: this.name, field, value: record[field], conflict: record });
+        }
+        seen.add(key);
+      });
+    });
+
+    // Only the primary key: the key column answers without reading every row.
+    // Reload it first, since other processes may have written explicit ids
+    if (fields.length === 1 && fields[0] === this.primaryKey) {
+      const candidates = records.filter(record => {
+        const id = record[this.primaryKey];
+        return !isEmpty(id) && !excluded.has(String(id));
+      });
+      if (candidates.length && !options.indexed) await this._loadIndex();
+
+      for (const record of candidates) {
+        const id = record[this.primaryKey];
+        if (!this._pkIndex.has(String(id))) continue;
+
+        const row = await this._findRow(id, { fresh: true });
+        if (row) {
+          throw new UniqueConstraintError({
+            model: this.name, field: this.primaryKey, value: id, conflict: this._rowToObject(row), conflictId: id
+          });
+        }
+      }
+      return;
+    }
+
+    // Unique fields: read fresh rows, which also rebuilds the field indexes
+    await this._getRows({ fresh: true });
+
+    records.forEach(record => {
+      fields.forEach(field => {
+        const key = this._indexKey(field, record[field]);
+        if (key === null) return;
+
+        const conflict = (this._fieldIndexes.get(field).get(key) || [])
+          .find(row => !excluded.has(String(row[this.primaryKey])));
+        if (conflict) {
+          throw new UniqueConstraintError({
+            model: this.name,
+            field,
+            value: record[field],
+            conflict: this._rowToObject(conflict),
+            conflictId: conflict[this.primaryKey]
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Drop deleted rows from the index and shift the rows below them up
+   * @param {Array<number>} rowNumbers - Deleted row numbers
+   */
+  _unindexRows(rowNumbers) {
+    const deleted = [...rowNumbers].sort((a, b) => a - b);
+    const deletedSet = new Set(deleted);
+    const countBelow = (rowNumber) => {
+      let low = 0;
+      let high = deleted.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (deleted[mid] < rowNumber) low = mid + 1;
+        else high = mid;
+      }
+      return low;
+    };
+
+    const index = new Map();
+    this._pkIndex.forEach((rowNumber, key) => {
+      if (!deletedSet.has(rowNumber)) {
+        index.set(key, rowNumber - countBelow(rowNumber));
+      }
+    });
+    this._pkIndex = index;
+  }
+
+  _cachedRows() {
+    const cached = this._rowCache;
+    if (this.cache && cached && Date.now() - cached.loadedAt < this.cache.ttl) {
+      return cached.rows;
+    }
+    return null;
+  }
+
+  /**
+   * Read every data row of the sheet. With caching enabled, reads are served
+   * from a snapshot until it expires or the model writes, and concurrent reads
+   * share one API call.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.fresh] - Bypass the snapshot (used before writes)
+   * @returns {Array} Sheet rows (shared with the cache; do not mutate the array)
+   */
+  async _getRows(options = {}) {
+    if (!this.cache) {
+      const rows = await this._sheet.getRows();
+      this._indexRows(rows);
+      return rows;
+    }
+
+    const cached = !options.fresh && this._cachedRows();
+    if (cached) return cached;
+
+    let pending = this._pendingRows;
+    if (options.fresh || !pending) {
+      const generation = this._cacheGeneration;
+      pending = this._sheet.getRows().then(rows => {
+        // Don't store or index a snapshot that a write has already made stale
+        if (generation === this._cacheGeneration) {
+          this._indexRows(rows);
+          this._rowCache = { rows, loadedAt: Date.now() };
+        }
+        return rows;
+      });
+
+      this._pendingRows = pending;
+      const settle = () => {
+        if (this._pendingRows === pending) this._pendingRows = null;
+      };
+      pending.then(settle, settle);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Drop the cached snapshot so the next read goes to the sheet
+   */
+  clearCache() {
+    this._rowCache = null;
+    this._pendingRows = null;
+    this._cacheGeneration++;
+  }
+
+  /**
+   * Drop the cached snapshot and reload the header row and rows from the sheet
+   * @returns {Model} This model
+   */
+  async refresh() {
+    await this.init();
+    this.clearCache();
+    await this._loadHeaderRow({ reload: true });
+    if (this.cache) {
+      await this._getRows();
+    } else {
+      await this._loadIndex();
+    }
+    return this;
+  }
+
+  /**
+   * Compare the schema with the sheet's live header row. A schema field with
+   * `renamedFrom: 'oldName'` is reported as a rename rather than an add.
+   * @returns {Object} { add: [field], rename: [{ from, to }], drop: [column] }
+   */
+  async diffSchema() {
+    await this._open();
+
+    const headers = await this._sheet.getHeaderValues({ reload: true });
+    const expected = this._getHeaderValues();
+    const missing = expected.filter(field => !headers.includes(field));
+
+    const rename = missing
+      .map(field => ({ from: (this.schema[field] || {}).renamedFrom, to: field }))
+      .filter(({ from }) => from && headers.includes(from));
+    const renamedFrom = rename.map(({ from }) => from);
+    const renamedTo = rename.map(({ to }) => to);
+
+    return {
+      add: missing.filter(field => !renamedTo.includes(field)),
+      rename,
+      drop: headers.filter(header => header && !expected.includes(header) && !renamedFrom.includes(header))
+    };
+  }
+
+  /**
+   * Bring the sheet's header row in line with the schema: rename columns,
+   * add missing ones (backfilled with the field's defaultValue) and, only when
+   * asked, drop columns the schema no longer has
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.drop=false] - Drop columns missing from the schema
+   * @returns {Object} The changes applied, as returned by diffSchema()
+   */
+  async sync(options = {}) {
+    const diff = await this.diffSchema();
+    const migrator = new Migrator(this.connection);
+
+    for (const { from, to } of diff.rename) {
+      await migrator.renameColumn(this.sheetName, from, to);
+    }
+
+    for (const field of diff.add) {
+      const { defaultValue } = this.schema[field] || {};
+      await migrator.addColumn(this.sheetName, field, {
+        backfill: typeof defaultValue === 'function' ? () => defaultValue() : defaultValue
+      });
     }
 
-    switch (schema.type.toLowerCase()) {
-    case 'number':
-      return value === '' ? null : parseFloat(value);
-    case 'boolean':
-      return value === true || value === 'true' || value === '1';
-    case 'date':
-      return value ? new Date(value) : null;
-    case 'json':
-      try {
-        return value ? JSON.parse(value) : null;
-      } catch(error) {
-        return value;
+    if (options.drop) {
+      for (const column of diff.drop) {
+        await migrator.dropColumn(this.sheetName, column);
       }
-    default:
-      return value;
     }
+
+    if (this._initialized) {
+      await this.refresh();
+    } else {
+      await this._loadHeaderRow({ reload: true });
+    }
+    return { ...diff, drop: options.drop ? diff.drop : [] };
   }
 
-  async _getTotalRowCount() {
+  async _getTotalRowCount(options = {}) {
     await this.init();
     try {
-      const rows = await this._sheet.getRows();
-      console.log('rows', rows);
-      return rows.length;
+      const rows = await this._getRows();
+      return this._scopeRows(rows, options).length;
     } catch (error) {
-      throw new Error(`Error getting total row count: ${error.message}`);
+      throw wrapError(error, 'Error getting total row count');
     }
   }
 
   async _getFilteredRows(options = {}) {
-    const { offset = 0, limit, search = {} } = options;
+    const { search = {} } = options;
 
     try {
-      // Get all rows for the current page plus one extra
-      const rows = await this._sheet.getRows({
-        offset: offset,
-        limit: limit ? limit + 1 : undefined
-      });
+      // Filter across the whole sheet so paging happens on the filtered result
+      const rows = await this._getRows();
+      return this._scopeRows(this._filterRows(rows, search), options);
+    } catch (error) {
+      throw wrapError(error, 'Error getting filtered rows');
+    }
+  }
+
+  /**
+   * Sort criteria for a paginated query: orderBy, ties broken by primary key
+   * so that every row has a distinct position
+   * @param {Object|string} [orderBy] - Sort criteria
+   * @returns {Object|null} Criteria, or null to keep sheet order
+   */
+  _keysetOrder(orderBy) {
+    const criteria = { ...normalizeOrderBy(orderBy) };
+    if (!Object.keys(criteria).length) return null;
+    if (!criteria[this.primaryKey]) criteria[this.primaryKey] = 'asc';
+    return criteria;
+  }
+
+  /**
+   * Short hash of the options that decide which rows a query returns and in
+   * what order, so a cursor can't be replayed against another query
+   */
+  _queryFingerprint(query) {
+    return crypto.createHash('sha1').update(JSON.stringify(query)).digest('base64').slice(0, 12);
+  }
 
-      // Apply filters if any search criteria exists
-      const filteredRows = this._filterRows(rows, search);
+  /**
+   * Cursor pointing after a row: its sort values and primary key, or only the
+   * key when the query keeps sheet order
+   * @param {string} query - Query fingerprint
+   * @param {Object} row - Last row of the page
+   * @param {Object|null} order - Criteria from _keysetOrder
+   * @returns {string} Opaque cursor
+   */
+  _encodeCursor(query, row, order) {
+    const record = this._rowToObject(row);
+    const after = order ? Object.keys(order).map(field => record[field]) : [];
+    return Buffer.from(JSON.stringify({ query, key: record[this.primaryKey], after })).toString('base64');
+  }
+
+  /**
+   * Read a pagination option as a whole number of at least 1
+   * @param {string} field - Option name, for the error
+   * @param {number|string} value - Given value; numeric strings are accepted
+   * @returns {number} The number
+   */
+  _positiveInteger(field, value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number) || number < 1) {
+      const message = `Pagination option '${field}' must be a positive integer`;
+      throw new ValidationError([{ field, rule: 'integer', message, value }], message);
+    }
+    return number;
+  }
+
+  _decodeCursor(cursor, query) {
+    const invalid = message => new ValidationError(
+      [{ field: 'cursor', rule: 'cursor', message, value: cursor }],
+      message
+    );
 
-      return filteredRows;
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
     } catch (error) {
-      throw new Error(`Error getting filtered rows: ${error.message}`);
+      decoded = null;
     }
+
+    if (!decoded || typeof decoded.query !== 'string' || !Array.isArray(decoded.after)) {
+      throw invalid('Invalid pagination cursor');
+    }
+    if (decoded.query !== query) {
+      throw invalid('Pagination cursor belongs to a different query');
+    }
+    return decoded;
   }
 
-  _filterRows(rows, search) {
-    if (!Object.keys(search).length) return rows;
+  /**
+   * Index of the first row after a cursor. Sorted queries compare sort
+   * values, so rows added or removed before the cursor don't shift the page.
+   * Queries in sheet order resume after the cursor's row, which must still
+   * exist.
+   * @param {Array} rows - Filtered and sorted rows
+   * @param {Object} cursor - Decoded cursor
+   * @param {Object|null} order - Criteria from _keysetOrder
+   * @returns {number} Offset of the page
+   */
+  async _cursorOffset(rows, cursor, order) {
+    let follows;
+    if (order) {
+      const after = Object.keys(order).reduce((record, field, i) => {
+        record[field] = cursor.after[i];
+        return record;
+      }, {});
+      follows = row => compareRecords(this._rowToObject(row), after, order) > 0;
+    } else {
+      const anchor = (await this._getRows())
+        .find(row => String(row[this.primaryKey]) === String(cursor.key));
+      if (!anchor) {
+        throw new ValidationError(
+          [{ field: 'cursor', rule: 'cursor', message: 'Pagination cursor points at a deleted record', value: cursor.key }],
+          `Pagination cursor points at ${this.name} '${cursor.key}', which no longer exists. Pass orderBy for ` +
+          'cursors that survive deletes.'
+        );
+      }
+      follows = row => row.rowNumber > anchor.rowNumber;
+    }
 
-    return rows.filter(row => {
-      return Object.entries(search).every(([field, condition]) => {
-        const value = row[field];
+    const index = rows.findIndex(follows);
+    return index === -1 ? rows.length : index;
+  }
 
-        if (condition === null) {
-          return value === null || value === '';
-        }
+  _isDeleted(row) {
+    return this.paranoid && !isEmpty(row.deletedAt);
+  }
 
-        if (Array.isArray(condition)) {
-          return condition.includes(value);
-        }
+  /**
+   * Whether a row is visible under paranoid scoping. Soft-deleted rows are
+   * hidden unless withDeleted or onlyDeleted is set.
+   * @param {Object} row - Sheet row
+   * @param {Object} [options] - { withDeleted, onlyDeleted }
+   * @returns {boolean} True if the row should be returned
+   */
+  _inScope(row, options = {}) {
+    if (!this.paranoid || options.withDeleted) return true;
+    return this._isDeleted(row) === Boolean(options.onlyDeleted);
+  }
 
-        if (typeof condition === 'object') {
-          return Object.entries(condition).every(([operator, target]) => {
-            switch(operator) {
-            case 'eq': return value === target;
-            case 'ne': return value !== target;
-            case 'gt': return value > target;
-            case 'gte': return value >= target;
-            case 'lt': return value < target;
-            case 'lte': return value <= target;
-            case 'contains': return String(value).includes(String(target));
-            case 'startsWith': return String(value).startsWith(String(target));
-            case 'endsWith': return String(value).endsWith(String(target));
-            case 'in': return Array.isArray(target) && target.includes(value);
-            case 'nin': return Array.isArray(target) && !target.includes(value);
-            case 'exists': return target ? value !== null && value !== undefined : value === null || value === undefined;
-            default: return false;
-            }
-          });
-        }
+  _scopeRows(rows, options = {}) {
+    if (!this.paranoid || options.withDeleted) return rows;
+    return rows.filter(row => this._inScope(row, options));
+  }
 
-        return value === condition;
-      });
-    });
+  _filterRows(rows, search) {
+    if (!search || !Object.keys(search).length) return rows;
+
+    const candidates = this._indexCandidates(rows, search) || rows;
+    return filterRecords(candidates.map(row => this._rowToObject(row)), search)
+      .map(record => record._row);
   }
 
   _sortRows(rows, orderBy) {
-    const [field, direction = 'asc'] = orderBy.split(':');
-    const isDesc = direction.toLowerCase() === 'desc';
+    return sortRecords(rows.map(row => this._rowToObject(row)), orderBy)
+      .map(record => record._row);
+  }
 
-    return [...rows].sort((a, b) => {
-      const aVal = this._convertValueType(field, a[field]);
-      const bVal = this._convertValueType(field, b[field]);
+  /**
+   * Split find() arguments into query options and criteria. Keys that are
+   * not query options are criteria, also when mixed with options.
+   * @param {Object} options - Query options, criteria or both
+   * @returns {Object} Query options with every criterion in `where`
+   */
+  _normalizeQuery(options) {
+    const query = {};
+    const criteria = {};
+    Object.entries(options).forEach(([key, value]) => {
+      (QUERY_OPTION_KEYS.includes(key) ? query : criteria)[key] = value;
+    });
 
-      if (aVal === bVal) return 0;
-      if (aVal === null) return isDesc ? -1 : 1;
-      if (bVal === null) return isDesc ? 1 : -1;
+    if (Object.keys(criteria).length) {
+      query.where = query.where ? { $and: [query.where, criteria] } : criteria;
+    }
+    return query;
+  }
 
-      const comparison = aVal < bVal ? -1 : 1;
-      return isDesc ? -comparison : comparison;
-    });
+  _withIncludes(select, include) {
+    return [...select, ...Object.keys(normalizeInclude(include))];
   }
 
   _selectFields(obj, fields) {
@@ -208,147 +835,976 @@ class Model {
     return selected;
   }
 
+  /**
+   * Find a page of records. Filtering and sorting run over the whole sheet
+   * before the page is cut, so totals and page boundaries are consistent.
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.search] - Filter criteria (`where` is accepted as an alias)
+   * @param {Object|string} [options.orderBy] - Sort criteria
+   * @param {number} [options.page=1] - 1-based page number
+   * @param {number} [options.limit=50] - Records per page
+   * @param {string} [options.cursor] - `pagination.nextCursor` from a previous call; overrides page
+   * @param {Array<string>} [options.select] - Fields to return
+   * @param {string|Array|Object} [options.include] - Relations to eager-load
+   * @param {boolean} [options.withDeleted] - Include soft-deleted records (paranoid models)
+   * @param {boolean} [options.onlyDeleted] - Return only soft-deleted records (paranoid models)
+   * @returns {Object} `{ data, pagination }`
+   */
   async findAll(options = {}) {
     await this.init();
 
     const {
       page = 1,
       limit = 50,
-      search = {},
       orderBy,
-      select
+      select,
+      cursor,
+      include,
+      withDeleted,
+      onlyDeleted
     } = options;
+    const search = options.where || options.search || {};
 
     try {
-      // Calculate offset
-      const offset = (page - 1) * limit;
-
-      // Get filtered rows
-      const rows = await this._getFilteredRows({ offset, limit, search });
-
-      // Get total count
-      const totalCount = Object.keys(search).length > 0
-        ? (await this._getFilteredRows({ search })).length
-        : await this._getTotalRowCount();
-
-      // Apply sorting if specified
-      const sortedRows = orderBy ? this._sortRows(rows, orderBy) : rows;
-
-      // Apply limit and convert to objects
-      let results = sortedRows
-        .slice(0, limit)
-        .map(row => this._rowToObject(row));
+      const perPage = this._positiveInteger('limit', limit);
+      const pageNumber = this._positiveInteger('page', page);
+      const order = this._keysetOrder(orderBy);
+      const query = this._queryFingerprint({ search, order, withDeleted, onlyDeleted });
+      const decoded = cursor ? this._decodeCursor(cursor, query) : null;
+
+      // Filter and sort the full result set, then cut the page
+      const rows = await this._getFilteredRows({ search, withDeleted, onlyDeleted });
+      const sortedRows = order ? this._sortRows(rows, order) : rows;
+      const offset = decoded
+        ? await this._cursorOffset(sortedRows, decoded, order)
+        : (pageNumber - 1) * perPage;
+
+      const pageRows = sortedRows.slice(offset, offset + perPage);
+      let results = pageRows.map(row => this._rowToObject(row));
+
+      if (include) {
+        await loadRelations(this, results, include);
+      }
+      await this._afterFind(results);
 
       // Apply field selection if specified
-      console.log('select', select);
       if (select && Array.isArray(select) && select.length > 0) {
-        results = results.map(obj => this._selectFields(obj, select));
+        results = results.map(obj => this._selectFields(obj, this._withIncludes(select, include)));
       }
 
+      const total = sortedRows.length;
+      const hasMore = offset + perPage < total;
+
       return {
         data: results,
         pagination: {
-          total: totalCount,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          hasMore: rows.length > limit
+          total,
+          page: Math.floor(offset / perPage) + 1,
+          limit: perPage,
+          totalPages: Math.ceil(total / perPage),
+          hasMore,
+          nextCursor: hasMore ? this._encodeCursor(query, pageRows[pageRows.length - 1], order) : null
         }
       };
     } catch (error) {
-      throw new Error(`Error finding records in ${this.sheetName}: ${error.message}`);
+      throw wrapError(error, `Error finding records in ${this.sheetName}`);
+    }
+  }
+
+  /**
+   * Find records using the `where` / `$operator` query syntax.
+   * A plain criteria object is shorthand for `{ where: criteria }`.
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.where] - Filter criteria, e.g. { age: { $gt: 18 } }
+   * @param {Object|string} [options.orderBy] - Sort criteria, e.g. { age: 'desc', name: 'asc' }
+   * @param {number} [options.limit] - Maximum number of records
+   * @param {number} [options.offset] - Number of records to skip
+   * @param {Array<string>} [options.select] - Fields to return
+   * @param {string|Array|Object} [options.include] - Relations to eager-load
+   * @param {boolean} [options.withDeleted] - Include soft-deleted records (paranoid models)
+   * @param {boolean} [options.onlyDeleted] - Return only soft-deleted records (paranoid models)
+   * @returns {Array<Object>} Matching records
+   */
+  async find(options = {}) {
+    await this.init();
+
+    const query = this._normalizeQuery(options);
+
+    try {
+      const rows = this._scopeRows(await this._getRows(), query);
+      const records = applyQueryOptions(rows.map(row => this._rowToObject(row)), query);
+
+      if (query.include) {
+        await loadRelations(this, records, query.include);
+      }
+      await this._afterFind(records);
+
+      const fields = query.select && this._withIncludes(query.select, query.include);
+      return records.map(record => this._selectFields(record, fields));
+    } catch (error) {
+      throw wrapError(error, `Error finding records in ${this.sheetName}`);
     }
   }
 
-  async findById(id) {
+  /**
+   * Find the first record matching a query
+   * @param {Object} [options] - Same as find()
+   * @returns {Object|null} The record, or null if none match
+   */
+  async findOne(options = {}) {
+    const query = this._normalizeQuery(options);
+
+    const [record] = await this.find({ ...query, limit: 1 });
+    return record || null;
+  }
+
+  /**
+   * Start a fluent query, e.g. model.query().where('age', '>', 18).orderBy('name').get()
+   * @returns {QueryBuilder} A new query builder
+   */
+  query() {
+    return new QueryBuilder(this);
+  }
+
+  /**
+   * Find a record by primary key
+   * @param {string} id - Primary key value
+   * @param {Object} [options] - Options
+   * @param {string|Array|Object} [options.include] - Relations to eager-load
+   * @param {boolean} [options.withDeleted] - Find soft-deleted records too (paranoid models)
+   * @param {boolean} [options.onlyDeleted] - Find only soft-deleted records (paranoid models)
+   * @returns {Object|null} The record, or null if not found
+   */
+  async findById(id, options = {}) {
     if (!id) return null;
 
     await this.init();
 
     try {
-      const rows = await this._sheet.getRows();
-      const row = rows.find(r => r[this.primaryKey] === id);
-      return row ? this._rowToObject(row) : null;
+      const row = await this._findRow(id);
+      if (!row || !this._inScope(row, options)) return null;
+
+      const record = this._rowToObject(row);
+      if (options.include) {
+        await loadRelations(this, [record], options.include);
+      }
+      await this._afterFind([record]);
+      return record;
     } catch (error) {
-      throw new Error(`Error finding record by ID: ${error.message}`);
+      throw wrapError(error, 'Error finding record by ID');
+    }
+  }
+
+  /**
+   * Find the sheet row for a primary key. Uses a valid cache snapshot when
+   * there is one; otherwise reads only the indexed row, reloading the index
+   * once if the sheet changed underneath it.
+   * @param {string} id - Primary key value
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.fresh] - Ignore the cache snapshot
+   * @returns {Object|null} The sheet row, or null
+   */
+  async _findRow(id, options = {}) {
+    const key = String(id);
+    const cached = !options.fresh && this._cachedRows();
+    if (cached) {
+      return cached.find(row => String(row[this.primaryKey]) === key) || null;
+    }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if (attempt > 0) await this._loadIndex();
+
+      const rowNumber = this._pkIndex.get(key);
+      if (rowNumber === undefined) continue;
+
+      const [row] = await this._sheet.getRows({ offset: rowNumber - 2, limit: 1 });
+      if (row && String(row[this.primaryKey]) === key) return row;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fail if a row no longer carries the concurrency token the caller read
+   * @param {Object} row - Freshly read sheet row
+   * @param {*} id - Primary key value
+   * @param {Object} options - { expectedVersion, expectedUpdatedAt }
+   */
+  _checkVersion(row, id, options) {
+    const checks = [];
+    if (options.expectedVersion !== undefined) {
+      if (!this.versioning) {
+        throw new SchemaError(`expectedVersion needs versioning: true on ${this.name}`);
+      }
+      this._requireColumn('version', 'versioning: true');
+      checks.push(['version', Number(options.expectedVersion), this._convertValueType('version', row.version)]);
+    }
+    if (options.expectedUpdatedAt !== undefined) {
+      if (!this.timestamps) {
+        throw new SchemaError(`expectedUpdatedAt needs timestamps on ${this.name}`);
+      }
+      const expected = options.expectedUpdatedAt instanceof Date
+        ? options.expectedUpdatedAt.toISOString()
+        : String(options.expectedUpdatedAt);
+      checks.push(['updatedAt', expected, row.updatedAt]);
+    }
+
+    checks.forEach(([field, expected, actual]) => {
+      if (expected !== actual) {
+        throw new VersionConflictError({ model: this.name, id, field, expected, actual });
+      }
+    });
+  }
+
+  /**
+   * Copy an update payload, leaving out the version column the model maintains
+   * @param {Object} data - Fields to change
+   * @returns {Object} The copy
+   */
+  _copyChanges(data) {
+    const changes = { ...data };
+    if (this.versioning && !this.schema.version) delete changes.version;
+    return changes;
+  }
+
+  /**
+   * Fail before a write that needs a column the sheet doesn't have; setting
+   * a property without a cell would silently do nothing
+   * @param {string} column - Column name
+   * @param {string} option - Model option that needs it, e.g. 'paranoid: true'
+   */
+  _requireColumn(column, option) {
+    if (this._columnMap[column] === undefined) {
+      throw new SchemaError(`Sheet ${this.sheetName} has no '${column}' column, which ${option} needs. ` +
+        'Run model.sync() or a migration to add it.');
+    }
+  }
+
+  /**
+   * Stamp updatedAt and bump the version of a row about to be saved
+   * @param {Object} row - Sheet row
+   * @param {string} now - ISO timestamp
+   */
+  _touchRow(row, now) {
+    if (this.timestamps) {
+      row.updatedAt = now;
+    }
+    if (this.versioning) {
+      this._requireColumn('version', 'versioning: true');
+      row.version = this._convertValueType('version', row.version) + 1;
     }
   }
 
-  async create(data) {
+  /**
+   * Raw cell values of a row, keyed by header, so a write can be undone
+   * @param {Object} row - Sheet row
+   * @returns {Object} Cell values
+   */
+  _rawValues(row) {
+    return this._headerRow.filter(Boolean).reduce((values, header) => {
+      values[header] = row[header];
+      return values;
+    }, {});
+  }
+
+  /**
+   * Concurrency tokens of a row: its version and updatedAt cells, for the
+   * options the model has enabled
+   * @param {Object} row - Sheet row
+   * @returns {Object} Token values as strings, keyed by column
+   */
+  _tokens(row) {
+    const tokens = {};
+    if (this.versioning) tokens.version = String(row.version);
+    if (this.timestamps) tokens.updatedAt = String(row.updatedAt);
+    return tokens;
+  }
+
+  /**
+   * Tell the transaction running a write, if any, how to undo it
+   * @param {Object} options - Write options; may hold a transaction
+   * @param {string} type - 'create', 'update' or 'delete'
+   * @param {Array<Object>} entries - { key, values, written } per row: the
+   *   primary key after the write, the cell values from before it (updates and
+   *   deletes) and the tokens the write left (updates)
+   */
+  _journal(options, type, entries) {
+    if (options.transaction && entries.length) {
+      options.transaction._record(this, type, entries);
+    }
+  }
+
+  /**
+   * Reverse a journaled write: remove created rows, write back the previous
+   * values of updated rows and re-append deleted ones. Hooks and delete
+   * rules are skipped. Updated rows whose tokens no longer match what the
+   * write left are not restored; the first is reported as a
+   * VersionConflictError once the others are written back.
+   * @param {string} type - 'create', 'update' or 'delete'
+   * @param {Array<Object>} entries - Entries passed to _journal
+   * @param {Map} [undone] - Tokens left by earlier undos in the same rollback,
+   *   keyed by model and primary key, so a row written twice can be restored twice
+   */
+  async _undo(type, entries, undone = new Map()) {
     await this.init();
 
     try {
-      if (this.primaryKey === 'id' && !data.id) {
-        data.id = Date.now().toString();
+      if (type === 'delete') {
+        const rows = await this._sheet.addRows(entries.map(entry => entry.values));
+        rows.forEach(row => this._pkIndex.set(String(row[this.primaryKey]), row.rowNumber));
+        return;
       }
 
-      const record = applyDefaults(data, this.schema);
+      const byKey = new Map(entries.map(entry => [String(entry.key), entry]));
+      const rows = (await this._getRows({ fresh: true }))
+        .filter(row => byKey.has(String(row[this.primaryKey])));
+
+      if (type === 'create') {
+        await this._deleteRows(rows);
+        return;
+      }
 
-      if (this.timestamps) {
-        const now = new Date().toISOString();
-        record.createdAt = now;
-        record.updatedAt = now;
+      if (rows.length < byKey.size) {
+        const found = new Set(rows.map(row => String(row[this.primaryKey])));
+        const missing = [...byKey.keys()].filter(key => !found.has(key));
+        throw new NotFoundError(`Cannot restore ${this.name} record(s) that no longer exist: ${missing.join(', ')}`);
       }
 
-      validateData(record, this.schema);
-      await this._sheet.addRow(record);
+      // A row whose tokens moved on since the write was changed by someone
+      // else; restoring it would overwrite their change
+      const conflicts = [];
+      const restored = rows.filter(row => {
+        const key = String(row[this.primaryKey]);
+        const written = undone.get(`${this.name}:${key}`) || byKey.get(key).written || {};
+        const actual = this._tokens(row);
+        const field = Object.keys(written).find(name => written[name] !== actual[name]);
+        if (field) {
+          conflicts.push(new VersionConflictError({
+            model: this.name, id: key, field, expected: written[field], actual: actual[field]
+          }));
+        }
+        return !field;
+      });
+
+      // Old values go back, but as a new version, so stale tokens still fail
+      const now = new Date().toISOString();
+      restored.forEach(row => {
+        const version = row.version;
+        Object.assign(row, byKey.get(String(row[this.primaryKey])).values);
+        if (this.versioning) row.version = version;
+        this._touchRow(row, now);
+      });
+      await this._sheet.saveRows(restored);
+      restored.forEach(row => undone.set(`${this.name}:${row[this.primaryKey]}`, this._tokens(row)));
 
-      return this.findById(record[this.primaryKey]);
+      if (conflicts.length) throw conflicts[0];
     } catch (error) {
-      throw new Error(`Error creating record in ${this.sheetName}: ${error.message}`);
+      throw wrapError(error, `Error undoing ${type} in ${this.sheetName}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Highest numeric primary key stored in the sheet
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.indexed] - The key index was just rebuilt; don't read the column again
+   * @returns {number} The key, or 0 for an empty sheet
+   */
+  async _maxStoredId(options = {}) {
+    if (!options.indexed) await this._loadIndex();
+
+    return [...this._pkIndex.keys()].map(Number).filter(Number.isFinite)
+      .reduce((max, key) => Math.max(max, key), 0);
+  }
+
+  /**
+   * Make a function that fills in a record's missing primary key with the
+   * model's idStrategy. For 'increment', each allocator reads the key column
+   * once; ids handed out but not yet written are remembered, so concurrent
+   * creates in this process never get the same id.
+   * @param {Object} [options] - Passed to _maxStoredId
+   * @returns {Function} async (record) => void
+   */
+  _idAllocator(options = {}) {
+    let stored = null;
+
+    return async (record) => {
+      const given = record[this.primaryKey];
+      if (!isEmpty(given)) {
+        // Keys set by the caller count as handed out
+        if (this.idStrategy === 'increment' && Number.isFinite(Number(given))) {
+          this._lastIncrement = Math.max(this._lastIncrement, Number(given));
+        }
+        return;
+      }
+      if (!this.idStrategy) {
+        // Without a strategy the caller supplies every key; a blank one can't be found again
+        const message = `Field '${this.primaryKey}' is required`;
+        throw new ValidationError([{ field: this.primaryKey, rule: 'required', message, value: given }], message);
+      }
+
+      let id;
+      if (this.idStrategy === 'increment') {
+        if (stored === null) stored = await this._maxStoredId(options);
+        id = Math.max(stored, this._lastIncrement) + 1;
+        this._lastIncrement = id;
+
+        const settings = this.schema[this.primaryKey];
+        if (!settings || settings.type !== 'number') id = String(id);
+      } else if (typeof this.idStrategy === 'function') {
+        id = await this.idStrategy(record, this);
+      } else {
+        id = ID_GENERATORS[this.idStrategy]();
+      }
+
+      record[this.primaryKey] = id;
+    };
+  }
+
+  /**
+   * Run fn(assignId) to allocate ids and append rows. With 'increment', fn
+   * runs while holding the model's id lock, with the key index freshly read,
+   * so no other process can take the same ids or append in between.
+   * Creates in this process queue for the lock in turn.
+   * @param {Function} fn - async (assignId) => result
+   * @returns {*} What fn returns
+   */
+  async _withIdLock(fn) {
+    if (this.idStrategy !== 'increment') return fn(this._idAllocator());
+
+    return this._withLock(`${this.sheetName}:ids`, async () => {
+      await this._loadIndex();
+      return fn(this._idAllocator({ indexed: true }));
+    });
+  }
+
+  /**
+   * Run fn while holding a lock shared with other processes. Calls in this
+   * process queue for it in turn instead of polling the locks sheet.
+   * @param {string} name - Lock name
+   * @param {Function} fn - Async work
+   * @returns {*} What fn returns
+   */
+  _withLock(name, fn) {
+    const locked = () => this.connection.locks.withLock(name, fn);
+    const result = (this._lockQueues.get(name) || Promise.resolve()).then(locked, locked);
+    const queue = result.catch(() => {});
+    this._lockQueues.set(name, queue);
+    queue.then(() => {
+      if (this._lockQueues.get(name) === queue) this._lockQueues.delete(name);
+    });
+    return result;
+  }
+
+  async _prepareRecord(data, assignId = this._idAllocator()) {
+    await assignId(data);
+
+    const record = applyDefaults(data, this.schema);
+
+    if (this.timestamps) {
+      const now = new Date().toISOString();
+      record.createdAt = now;
+      record.updatedAt = now;
+    }
+    if (this.versioning) {
+      record.version = 1;
     }
+
+    await validateData(record, this.schema);
+    return record;
+  }
+
+  /**
+   * Delete several rows from the sheet in one batched call
+   * @param {Array} rows - Sheet rows to delete
+   */
+  async _deleteRows(rows) {
+    if (!rows.length) return;
+
+    await this._sheet.deleteRows(rows);
+    rows.forEach(row => {
+      row._deleted = true;
+    });
+    this._unindexRows(rows.map(row => row.rowNumber));
+  }
+
+  /**
+   * Mark rows as deleted by stamping deletedAt, in one batched call
+   * @param {Array} rows - Sheet rows to soft-delete
+   */
+  async _softDeleteRows(rows) {
+    const now = new Date().toISOString();
+    rows.forEach(row => {
+      row.deletedAt = now;
+      this._touchRow(row, now);
+    });
+    await this._sheet.saveRows(rows);
+  }
+
+  /**
+   * Soft- or hard-delete rows, journaling the write
+   * @param {Array} rows - Sheet rows to delete
+   * @param {boolean} soft - Stamp deletedAt instead of removing the rows
+   * @param {Object} options - { transaction }
+   */
+  async _removeRows(rows, soft, options) {
+    const entries = rows.map(row => ({ key: row[this.primaryKey], values: this._rawValues(row) }));
+    await (soft ? this._softDeleteRows(rows) : this._deleteRows(rows));
+    if (soft) rows.forEach((row, i) => { entries[i].written = this._tokens(row); });
+    this._journal(options, soft ? 'update' : 'delete', entries);
   }
 
-  async update(id, data) {
+  _referenceFields() {
+    return Object.entries(this.schema).filter(([, settings]) => settings && settings.references);
+  }
+
+  /**
+   * Make sure every foreign key value points at an existing record.
+   * Reads each referenced sheet once, however many records are checked.
+   * @param {Array<Object>} records - Records (or partial updates) to check
+   */
+  async _checkReferences(records) {
+    for (const [field, settings] of this._referenceFields()) {
+      const values = [...new Set(records.map(record => record[field]).filter(value => !isEmpty(value)))];
+      if (!values.length) continue;
+
+      const target = this.connection.model(settings.references.model);
+      const key = settings.references.field || target.primaryKey;
+      const found = await target.find({ where: { [key]: { $in: values } }, select: [key] });
+      const foundKeys = new Set(found.map(record => String(record[key])));
+      const missing = values.filter(value => !foundKeys.has(String(value)));
+
+      if (missing.length) {
+        const message = `Field '${field}' references missing ${target.name} record(s): ${missing.join(', ')}`;
+        throw new ValidationError([{ field, rule: 'references', message, value: missing }], message);
+      }
+    }
+  }
+
+  /**
+   * Schema fields in registered models that reference this model
+   * @returns {Array<Object>} { model, field, key, onDelete } entries
+   */
+  _dependents() {
+    const dependents = [];
+
+    Object.values(this.connection.models || {}).forEach(model => {
+      model._referenceFields().forEach(([field, settings]) => {
+        const { model: target, field: key, onDelete = 'restrict' } = settings.references;
+        if (target === this.name) {
+          dependents.push({ model, field, key: key || this.primaryKey, onDelete });
+        }
+      });
+    });
+
+    return dependents;
+  }
+
+  /**
+   * Enforce onDelete rules of referencing models before records are deleted.
+   * All restrict rules are checked before any cascade or setNull is applied.
+   * Soft deletes skip the rules; they apply when the rows are removed for good.
+   * @param {Array<Object>} records - Records about to be deleted
+   * @param {Object} [options] - { transaction } to journal cascaded writes in
+   * @returns {boolean} True if a rule changed rows of this model's own sheet
+   */
+  async _applyDeleteRules(records, options = {}) {
+    const actions = [];
+
+    for (const dependent of this._dependents()) {
+      const keys = [...new Set(records.map(record => record[dependent.key]).filter(value => !isEmpty(value)))];
+      if (!keys.length) continue;
+
+      const search = { [dependent.field]: { $in: keys } };
+      const count = await dependent.model.count(search);
+      if (!count) continue;
+
+      if (dependent.onDelete === 'restrict') {
+        throw new ConflictError(`Cannot delete from ${this.name}: ${count} ${dependent.model.name} record(s) reference it through '${dependent.field}'`);
+      }
+      actions.push({ ...dependent, search });
+    }
+
+    for (const action of actions) {
+      if (action.onDelete === 'cascade') {
+        await action.model.deleteMany(action.search, options);
+      } else {
+        await action.model.updateMany(action.search, { [action.field]: '' }, options);
+      }
+    }
+
+    return actions.some(action => action.model === this);
+  }
+
+  /**
+   * Re-read the rows for records after a self-referencing rule moved them
+   * @param {Array<Object>} records - Records to locate
+   * @returns {Array} Their current sheet rows
+   */
+  async _relocateRows(records) {
+    const keys = new Set(records.map(record => String(record[this.primaryKey])));
+    const rows = await this._getRows({ fresh: true });
+    return rows.filter(row => keys.has(String(row[this.primaryKey])));
+  }
+
+  /**
+   * Create a record
+   * @param {Object} data - Field values
+   * @param {Object} [options] - { transaction } to journal the write in
+   * @returns {Object} The created record
+   */
+  async create(data, options = {}) {
+    await this.init();
+
+    try {
+      // Hooks change a copy, never the caller's object
+      const copy = { ...data };
+      await this._runHooks('beforeCreate', copy);
+      const row = await this._withIdLock(async (assignId) => {
+        const record = await this._prepareRecord(copy, assignId);
+        await this._checkUnique([record], { indexed: this.idStrategy === 'increment' });
+        await this._checkReferences([record]);
+        const [added] = await this._sheet.addRows([this._serializeRecord(record)]);
+        this._pkIndex.set(String(added[this.primaryKey]), added.rowNumber);
+        return added;
+      });
+      this._journal(options, 'create', [{ key: row[this.primaryKey] }]);
+
+      const created = this._rowToObject(row);
+      await this._runHooks('afterCreate', created);
+      return created;
+    } catch (error) {
+      throw wrapError(error, `Error creating record in ${this.sheetName}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Run one record's step of a batch, naming the record in errors
+   * @param {number} index - Position of the record in the batch
+   * @param {Function} fn - Async step
+   * @returns {*} What fn returns
+   */
+  async _forRecord(index, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw wrapError(error, `Record ${index}`);
+      throw new ValidationError(
+        error.errors.map(entry => ({ ...entry, index })),
+        `Record ${index}: ${error.message}`,
+        { cause: error }
+      );
+    }
+  }
+
+  /**
+   * Create multiple records with a single append call.
+   * Every record is validated before anything is written.
+   * @param {Array<Object>} dataList - Records to create
+   * @param {Object} [options] - { transaction } to journal the write in
+   * @returns {Object} Created records and their count
+   */
+  async createMany(dataList, options = {}) {
     await this.init();
 
     try {
-      const record = await this.findById(id);
-      if (!record) return null;
+      const copies = [];
+      for (const [index, data] of dataList.entries()) {
+        const record = { ...data };
+        await this._forRecord(index, () => this._runHooks('beforeCreate', record));
+        copies.push(record);
+      }
 
-      validateData(data, this.schema, { partial: true });
-      const row = record._row;
+      const rows = await this._withIdLock(async (assignId) => {
+        const records = [];
+        for (const [index, record] of copies.entries()) {
+          records.push(await this._forRecord(index, () => this._prepareRecord(record, assignId)));
+        }
 
-      Object.entries(data).forEach(([key, value]) => {
-        row[key] = value;
+        await this._checkUnique(records, { indexed: this.idStrategy === 'increment' });
+        await this._checkReferences(records);
+        const added = records.length
+          ? await this._sheet.addRows(records.map(record => this._serializeRecord(record)))
+          : [];
+        added.forEach(row => this._pkIndex.set(String(row[this.primaryKey]), row.rowNumber));
+        return added;
       });
+      this._journal(options, 'create', rows.map(row => ({ key: row[this.primaryKey] })));
 
-      if (this.timestamps) {
-        row.updatedAt = new Date().toISOString();
+      const created = rows.map(row => this._rowToObject(row));
+      for (const record of created) {
+        await this._runHooks('afterCreate', record);
       }
+      return { data: created, count: created.length };
+    } catch (error) {
+      throw wrapError(error, `Error creating records in ${this.sheetName}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Update a record. With a concurrency token, the update fails with a
+   * VersionConflictError if the row changed since the caller read it.
+   * @param {string} id - Primary key value
+   * @param {Object} data - Fields to change
+   * @param {Object} [options] - Options
+   * @param {number} [options.expectedVersion] - Version the caller read (needs versioning)
+   * @param {string|Date} [options.expectedUpdatedAt] - updatedAt the caller read (needs timestamps)
+   * @param {Transaction} [options.transaction] - Transaction to journal the write in
+   * @returns {Object|null} The updated record, or null if not found
+   */
+  async update(id, data, options = {}) {
+    await this.init();
 
-      await row.save();
-      return this.findById(id);
+    const guarded = options.expectedVersion !== undefined || options.expectedUpdatedAt !== undefined;
+    try {
+      return guarded
+        ? await this._withLock(`${this.sheetName}:${id}`, () => this._update(id, data, options, true))
+        : await this._update(id, data, options, false);
     } catch (error) {
-      throw new Error(`Error updating record in ${this.sheetName}: ${error.message}`);
+      throw wrapError(error, `Error updating record in ${this.sheetName}`);
+    } finally {
+      this.clearCache();
     }
   }
 
-  async delete(id) {
+  /**
+   * Body of update(). With a concurrency token it runs under the row's lock
+   * and compares the token again just before the write, since hooks and
+   * checks await in between.
+   */
+  async _update(id, data, options, guarded) {
+    const first = await this._findRow(id, { fresh: true });
+    if (!first || this._isDeleted(first)) return null;
+    this._checkVersion(first, id, options);
+
+    const previous = this._rowToObject(first);
+    const before = this._rawValues(first);
+    const changes = this._copyChanges(data);
+    await this._runHooks('beforeUpdate', changes, { id, previous });
+
+    const record = { ...previous, ...changes };
+    await validateData(changes, this.schema, { partial: true, record });
+    await this._checkUnique([record], {
+      fields: Object.keys(changes),
+      exclude: [id]
+    });
+    await this._checkReferences([changes]);
+
+    const row = guarded ? await this._findRow(id, { fresh: true }) : first;
+    if (!row || this._isDeleted(row)) return null;
+    if (guarded) this._checkVersion(row, id, options);
+
+    Object.entries(changes).forEach(([key, value]) => {
+      row[key] = this._serializeValue(key, value);
+    });
+    this._touchRow(row, new Date().toISOString());
+
+    await this._sheet.saveRows([row]);
+    this._journal(options, 'update', [{ key: row[this.primaryKey], values: before, written: this._tokens(row) }]);
+
+    if (String(row[this.primaryKey]) !== String(id)) {
+      this._pkIndex.delete(String(id));
+      this._pkIndex.set(String(row[this.primaryKey]), row.rowNumber);
+    }
+
+    const updated = this._rowToObject(row);
+    await this._runHooks('afterUpdate', updated, { id, previous });
+    return updated;
+  }
+
+  /**
+   * Delete a record. Paranoid models stamp deletedAt instead of removing the row.
+   * @param {string} id - Primary key value
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Remove the row even in a paranoid model
+   * @param {Transaction} [options.transaction] - Transaction to journal the write in
+   * @returns {boolean} False if no record was found
+   */
+  async delete(id, options = {}) {
     await this.init();
+    const soft = this.paranoid && !options.force;
+    if (soft) this._requireColumn('deletedAt', 'paranoid: true');
 
     try {
-      const record = await this.findById(id);
-      if (!record) return false;
+      const row = await this._findRow(id, { fresh: true });
+      if (!row || (soft && this._isDeleted(row))) return false;
+
+      const record = this._rowToObject(row);
+      await this._runHooks('beforeDelete', record, { id, soft });
 
-      await record._row.delete();
+      // A soft delete can be restored, so rules wait until the row goes for good
+      const moved = !soft && await this._applyDeleteRules([record], { transaction: options.transaction });
+      const rows = moved ? await this._relocateRows([record]) : [row];
+      await this._removeRows(rows, soft, options);
+
+      await this._runHooks('afterDelete', record, { id, soft });
       return true;
     } catch (error) {
-      throw new Error(`Error deleting record in ${this.sheetName}: ${error.message}`);
+      throw wrapError(error, `Error deleting record in ${this.sheetName}`);
+    } finally {
+      this.clearCache();
     }
   }
 
-  async count(search = {}) {
+  /**
+   * Apply the same patch to every record matching the search criteria
+   * @param {Object} search - Search criteria (same format as findAll)
+   * @param {Object} data - Fields to update
+   * @param {Object} [options] - { transaction } to journal the write in
+   * @returns {Object} Updated records and their count
+   */
+  async updateMany(search, data, options = {}) {
+    await this.init();
+
+    try {
+      const rows = this._scopeRows(this._filterRows(await this._getRows({ fresh: true }), search || {}));
+      const previous = rows.map(row => this._rowToObject(row));
+
+      // Each record gets its own copy of the patch, which beforeUpdate hooks may change
+      const patches = [];
+      for (const record of previous) {
+        const patch = this._copyChanges(data);
+        await this._runHooks('beforeUpdate', patch, { id: record[this.primaryKey], previous: record });
+        patches.push(patch);
+      }
+      const records = previous.map((record, i) => ({ ...record, ...patches[i] }));
+
+      // Custom validators see each whole record; with no matches, still check the patch
+      if (!records.length) {
+        await validateData(data, this.schema, { partial: true, record: data });
+      }
+      for (const [i, record] of records.entries()) {
+        await validateData(patches[i], this.schema, { partial: true, record });
+      }
+      await this._checkReferences(patches.length ? patches : [data]);
+      await this._checkUnique(records, {
+        fields: [...new Set(patches.reduce((fields, patch) => fields.concat(Object.keys(patch)), []))],
+        exclude: rows.map(row => row[this.primaryKey])
+      });
+      const now = new Date().toISOString();
+      const before = rows.map(row => this._rawValues(row));
+
+      rows.forEach((row, i) => {
+        Object.entries(patches[i]).forEach(([key, value]) => {
+          row[key] = this._serializeValue(key, value);
+        });
+        this._touchRow(row, now);
+      });
+
+      await this._sheet.saveRows(rows);
+      this._journal(options, 'update', rows.map((row, i) => ({
+        key: row[this.primaryKey], values: before[i], written: this._tokens(row)
+      })));
+
+      const updated = rows.map(row => this._rowToObject(row));
+      for (const [i, record] of updated.entries()) {
+        await this._runHooks('afterUpdate', record, { id: previous[i][this.primaryKey], previous: previous[i] });
+      }
+      return { data: updated, count: updated.length };
+    } catch (error) {
+      throw wrapError(error, `Error updating records in ${this.sheetName}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Delete every record matching the search criteria
+   * @param {Object} search - Search criteria (same format as findAll)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Remove the rows even in a paranoid model,
+   *   including rows that were already soft-deleted
+   * @param {Transaction} [options.transaction] - Transaction to journal the write in
+   * @returns {Object} Deleted records and their count
+   */
+  async deleteMany(search, options = {}) {
+    await this.init();
+    const soft = this.paranoid && !options.force;
+    if (soft) this._requireColumn('deletedAt', 'paranoid: true');
+
+    try {
+      const matched = this._filterRows(await this._getRows({ fresh: true }), search || {});
+      const rows = this._scopeRows(matched, { withDeleted: !soft });
+      const data = rows.map(row => this._rowToObject(row));
+      for (const record of data) {
+        await this._runHooks('beforeDelete', record, { id: record[this.primaryKey], soft });
+      }
+
+      const moved = !soft && await this._applyDeleteRules(data, { transaction: options.transaction });
+      const current = moved ? await this._relocateRows(data) : rows;
+      await this._removeRows(current, soft, options);
+
+      for (const record of data) {
+        await this._runHooks('afterDelete', record, { id: record[this.primaryKey], soft });
+      }
+      return { data, count: rows.length };
+    } catch (error) {
+      throw wrapError(error, `Error deleting records in ${this.sheetName}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Delete a record for good, even in a paranoid model
+   * @param {string} id - Primary key value
+   * @returns {boolean} False if no record was found
+   */
+  async forceDelete(id) {
+    return this.delete(id, { force: true });
+  }
+
+  /**
+   * Bring back a soft-deleted record (paranoid models)
+   * @param {string} id - Primary key value
+   * @returns {Object|null} The restored record, or null if not found
+   */
+  async restore(id) {
+    if (!this.paranoid) {
+      throw new SchemaError(`restore() needs a paranoid model; ${this.name} is not paranoid`);
+    }
+    await this.init();
+    this._requireColumn('deletedAt', 'paranoid: true');
+
+    try {
+      const row = await this._findRow(id, { fresh: true });
+      if (!row) return null;
+
+      if (this._isDeleted(row)) {
+        row.deletedAt = '';
+        this._touchRow(row, new Date().toISOString());
+        await this._sheet.saveRows([row]);
+      }
+      return this._rowToObject(row);
+    } catch (error) {
+      throw wrapError(error, `Error restoring record in ${this.sheetName}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * @param {Object} [search] - Search criteria (same format as findAll)
+   * @param {Object} [options] - { withDeleted, onlyDeleted } for paranoid models
+   * @returns {number} Number of matching records
+   */
+  async count(search = {}, options = {}) {
     await this.init();
 
     try {
       if (Object.keys(search).length === 0) {
-        return this._getTotalRowCount();
+        return this._getTotalRowCount(options);
       }
 
-      const rows = await this._getFilteredRows({ search });
+      const rows = await this._getFilteredRows({ ...options, search });
       return rows.length;
     } catch (error) {
-      throw new Error(`Error counting records: ${error.message}`);
+      throw wrapError(error, 'Error counting records');
     }
   }
 
@@ -362,16 +1818,40 @@ class Model {
     return [...new Set(data.map(item => item[field]))];
   }
 
-  async truncate() {
+  /**
+   * Delete every record. Paranoid models soft-delete them unless forced.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Remove every row, soft-deleted ones included
+   * @returns {boolean} True
+   */
+  async truncate(options = {}) {
     await this.init();
-    const rows = await this._sheet.getRows();
-    await Promise.all(rows.map(row => row.delete()));
-    return true;
+    const soft = this.paranoid && !options.force;
+    if (soft) this._requireColumn('deletedAt', 'paranoid: true');
+
+    try {
+      const rows = this._scopeRows(await this._getRows({ fresh: true }), { withDeleted: !soft });
+      const records = rows.map(row => this._rowToObject(row));
+      const moved = !soft && await this._applyDeleteRules(records);
+
+      if (soft) {
+        await this._softDeleteRows(moved ? await this._relocateRows(records) : rows);
+      } else {
+        await this._deleteRows(moved ? await this._getRows({ fresh: true }) : rows);
+      }
+      return true;
+    } finally {
+      this.clearCache();
+    }
   }
 
+  /**
+   * Get the underlying worksheet, e.g. the google-spreadsheet worksheet
+   * when connected to Google Sheets
+   */
   async getSheet() {
     await this.init();
-    return this._sheet;
+    return this._sheet.native;
   }
 }
 
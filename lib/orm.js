@@ -1,22 +1,36 @@
 /**
  * Connection manager for Google Sheets ORM
  */
-const { GoogleSpreadsheet } = require('google-spreadsheet');
 const Model = require('./model');
+const Migrator = require('./migrations');
+const LockManager = require('./locks');
+const { Transaction } = require('./transaction');
+const { GoogleSheetsAdapter } = require('./adapters');
+const { ConnectionError, NotFoundError, SchemaError, wrapError } = require('./errors');
+const { RequestScheduler } = require('./scheduler');
 
 class GoogleSheetsORM {
   /**
    * @param {Object} config - Configuration options
-   * @param {string} config.spreadsheetId - Google Spreadsheet ID
+   * @param {string} [config.spreadsheetId] - Google Spreadsheet ID (required without an adapter)
    * @param {Object} [config.credentials] - Service account credentials
    * @param {string} [config.apiKey] - Google API key
+   * @param {Object} [config.adapter] - Storage adapter, e.g. new InMemoryAdapter()
+   * @param {Object|boolean} [config.retry] - Backoff for Google API calls:
+   *   { retries, minDelay, maxDelay, jitter }, or false to disable
+   * @param {Object|boolean} [config.rateLimit] - Limits shared by every model's API calls:
+   *   { concurrency, requestsPerMinute }, or false to disable
+   * @param {Object} [config.locks] - Lock options: { sheetName, owner, ttl, timeout, retryDelay, pruneAfter }
    */
   constructor(config) {
-    if (!config.spreadsheetId) {
-      throw new Error('spreadsheetId is required');
+    if (!config.adapter && !config.spreadsheetId) {
+      throw new SchemaError('spreadsheetId is required');
     }
 
     this.config = config;
+    this.scheduler = (config.adapter && config.adapter.scheduler) || new RequestScheduler(config.rateLimit);
+    this.adapter = config.adapter || new GoogleSheetsAdapter({ ...config, scheduler: this.scheduler });
+    this.locks = new LockManager(this, config.locks);
     this.models = {};
     this.doc = null;
     this._initialized = false;
@@ -29,29 +43,18 @@ class GoogleSheetsORM {
     if (this._initialized) return this;
 
     try {
-      this.doc = new GoogleSpreadsheet(this.config.spreadsheetId);
-
-      // Handle authentication
-      if (this.config.credentials) {
-        await this.doc.useServiceAccountAuth(this.config.credentials);
-      } else if (this.config.apiKey) {
-        this.doc.useApiKey(this.config.apiKey);
-      } else {
-        throw new Error('No authentication provided for Google Sheets (credentials or apiKey)');
-      }
-
-      // Load spreadsheet info
-      await this.doc.loadInfo();
+      await this.adapter.connect();
+      this.doc = this.adapter.doc || null;
       this._initialized = true;
 
       return this;
     } catch (error) {
-      throw new Error(`Failed to connect to spreadsheet: ${error.message}`);
+      throw wrapError(error, 'Failed to connect to spreadsheet', ConnectionError);
     }
   }
 
   /**
-   * Get the spreadsheet document
+   * Get the spreadsheet document (Google Sheets adapter only)
    */
   async getDoc() {
     if (!this._initialized) {
@@ -60,23 +63,58 @@ class GoogleSheetsORM {
     return this.doc;
   }
 
+  /**
+   * Get the connected storage adapter
+   */
+  async getAdapter() {
+    if (!this._initialized) {
+      await this.connect();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Metrics of the request queue shared by every model, e.g. to spot backpressure
+   * @returns {Object} See RequestScheduler#metrics
+   */
+  getQueueMetrics() {
+    return this.scheduler.metrics();
+  }
+
   /**
    * Define a model
    * @param {string} modelName - Name of the model
    * @param {Object} options - Model configuration options
+   * @param {Object} [options.relations] - Relations, e.g. { books: hasMany('Book', 'authorId') }
+   * @param {Object|boolean} [options.cache] - Cache rows in memory, e.g. { ttl: 30000 }
+   * @param {string} [options.strict='warn'] - Header drift on init: 'error', 'warn' or 'ignore'
+   * @param {boolean} [options.paranoid] - Soft-delete records by stamping a deletedAt column
+   * @param {boolean} [options.versioning] - Keep a version column for optimistic concurrency control
+   * @param {Object} [options.hooks] - Lifecycle hooks, e.g. { beforeCreate: fn } (see Model#on)
+   * @param {string|Function} [options.idStrategy] - How missing primary keys are filled in:
+   *   'ulid' (the default for an 'id' key), 'uuid', 'nanoid', 'increment' or
+   *   (record, model) => id; null to leave them to the caller
    * @returns {Model} The created model instance
    */
   defineModel(modelName, options) {
     if (this.models[modelName]) {
-      throw new Error(`Model '${modelName}' already defined`);
+      throw new SchemaError(`Model '${modelName}' already defined`);
     }
 
     // Set up model
     this.models[modelName] = new Model(this, {
+      name: modelName,
       sheetName: options.sheetName || modelName,
       primaryKey: options.primaryKey || 'id',
       schema: options.schema || {},
-      timestamps: options.timestamps !== false
+      timestamps: options.timestamps !== false,
+      paranoid: options.paranoid,
+      versioning: options.versioning,
+      relations: options.relations || {},
+      cache: options.cache,
+      strict: options.strict,
+      hooks: options.hooks,
+      idStrategy: options.idStrategy
     });
 
     return this.models[modelName];
@@ -89,12 +127,96 @@ class GoogleSheetsORM {
    */
   model(name) {
     if (!this.models[name]) {
-      throw new Error(`Model '${name}' not found`);
+      throw new NotFoundError(`Model '${name}' not found`);
     }
 
     return this.models[name];
   }
 
+  /**
+   * Drop the cached rows of every model
+   */
+  clearCache() {
+    Object.values(this.models).forEach(model => model.clearCache());
+  }
+
+  /**
+   * Run fn while holding a named lock shared by every process using this
+   * spreadsheet, e.g. orm.withLock('User', async () => { ... })
+   * @param {string} name - Lock name
+   * @param {Function} fn - Async work to run while the lock is held
+   * @param {Object} [options] - { ttl, timeout } overrides
+   * @returns {*} What fn returns
+   */
+  async withLock(name, fn, options) {
+    return this.locks.withLock(name, fn, options);
+  }
+
+  /**
+   * Run fn as a unit of work across models. Writes made through
+   * tx.model(name) are queued and flushed in order once fn returns; if one
+   * fails, the writes already made are undone.
+   * @param {Function} fn - async (tx) => { await tx.model('Author').create(...) }
+   * @returns {*} What fn returns
+   */
+  async transaction(fn) {
+    const tx = new Transaction(this);
+
+    let result;
+    try {
+      result = await fn(tx);
+    } catch (error) {
+      // Nothing was written yet; just drop the queue
+      await tx.rollback(error);
+      throw error;
+    }
+
+    await tx.commit();
+    return result;
+  }
+
+  /**
+   * Create a migrator for running migrations and column changes
+   * @param {Object} [options] - Options, e.g. { sheetName: '_migrations' }
+   * @returns {Migrator} The migrator
+   */
+  migrator(options) {
+    return new Migrator(this, options);
+  }
+
+  /**
+   * Run every pending migration, in order
+   * @param {Array<Object>} migrations - [{ name, up(migrator, orm), down(migrator, orm) }]
+   * @param {Object} [options] - Migrator options
+   * @returns {Array<string>} Names of the migrations that ran
+   */
+  async migrate(migrations, options) {
+    return this.migrator(options).up(migrations);
+  }
+
+  /**
+   * Undo the most recently applied migrations
+   * @param {Array<Object>} migrations - The same list passed to migrate()
+   * @param {Object} [options] - { steps: 1 } plus migrator options
+   * @returns {Array<string>} Names of the migrations that were undone
+   */
+  async rollback(migrations, options = {}) {
+    return this.migrator(options).down(migrations, options);
+  }
+
+  /**
+   * Bring every model's header row in line with its schema
+   * @param {Object} [options] - { drop: false }, see Model#sync
+   * @returns {Object} Changes applied, keyed by model name
+   */
+  async sync(options) {
+    const changes = {};
+    for (const [name, model] of Object.entries(this.models)) {
+      changes[name] = await model.sync(options);
+    }
+    return changes;
+  }
+
   /**
    * Initialize all models
    */
@@ -0,0 +1,304 @@
+/**
+ * Fluent query builder for Google Sheets ORM models
+ */
+const { wrapError } = require('./errors');
+
+const OPERATOR_SYMBOLS = {
+  '=': '$eq',
+  '==': '$eq',
+  '!=': '$ne',
+  '<>': '$ne',
+  '>': '$gt',
+  '>=': '$gte',
+  '<': '$lt',
+  '<=': '$lte',
+  'not in': '$nin',
+  'like': '$like'
+};
+
+/**
+ * Turn a where() value into an operator object
+ * @param {string} operator - Operator symbol or name ('>', 'gt', '$gt', 'in'...)
+ * @param {*} value - Target value
+ * @returns {Object} Operator object, e.g. { $gt: 18 }
+ */
+function toCondition(operator, value) {
+  const op = String(operator);
+  let name = OPERATOR_SYMBOLS[op.toLowerCase()] || (op.startsWith('$') ? op : `$${op}`);
+
+  // `= null` / `!= null` test for empty cells
+  if (value === null && (name === '$eq' || name === '$ne')) {
+    return { $exists: name === '$ne' };
+  }
+
+  if (name === '$eq' && Array.isArray(value)) name = '$in';
+  return { [name]: value };
+}
+
+/**
+ * Turn a criteria object value into an operator object
+ * @param {*} condition - Literal, null, array or operator object
+ * @returns {Object} Operator object
+ */
+function normalizeCondition(condition) {
+  if (condition === null) return { $exists: false };
+  if (Array.isArray(condition)) return { $in: condition };
+  if (typeof condition === 'object' && !(condition instanceof Date)) return { ...condition };
+  return { $eq: condition };
+}
+
+/**
+ * Deep-copy criteria so cloned builders do not share state
+ * @param {*} value - Criteria, condition or literal
+ * @returns {*} The copy
+ */
+function cloneCriteria(value) {
+  if (Array.isArray(value)) return value.map(cloneCriteria);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.entries(value).reduce((result, [key, item]) => {
+      result[key] = cloneCriteria(item);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+class QueryBuilder {
+  /**
+   * @param {Model} model - The model to query
+   */
+  constructor(model) {
+    this.model = model;
+    this._groups = [{}];
+    this._orderBy = {};
+    this._select = null;
+    this._limit = undefined;
+    this._offset = 0;
+    this._scope = {};
+  }
+
+  /**
+   * AND a condition into a group. Operators the field already has go into
+   * $and, so a repeated operator adds a filter instead of replacing one.
+   */
+  _addCondition(group, field, condition) {
+    const existing = group[field] || {};
+    const repeated = Object.keys(condition).filter(name => name in existing);
+
+    if (repeated.length) {
+      group.$and = [...(group.$and || []), { [field]: condition }];
+    } else {
+      group[field] = { ...existing, ...condition };
+    }
+  }
+
+  _addWhere(group, args) {
+    const [fieldOrCriteria, operator, value] = args;
+
+    if (typeof fieldOrCriteria === 'function') {
+      // Nested group: where(q => q.where(...).orWhere(...))
+      const nested = new QueryBuilder(this.model);
+      fieldOrCriteria(nested);
+      group.$and = [...(group.$and || []), nested._criteria()];
+    } else if (typeof fieldOrCriteria === 'object' && fieldOrCriteria !== null) {
+      Object.entries(fieldOrCriteria).forEach(([field, condition]) => {
+        if (field.startsWith('$')) {
+          // Combinators ($or, $and, $not) are kept as-is
+          group.$and = [...(group.$and || []), { [field]: condition }];
+        } else {
+          this._addCondition(group, field, normalizeCondition(condition));
+        }
+      });
+    } else if (args.length === 2) {
+      this._addCondition(group, fieldOrCriteria, toCondition('=', operator));
+    } else {
+      this._addCondition(group, fieldOrCriteria, toCondition(operator, value));
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a condition to the current AND group. Accepts where(field, value),
+   * where(field, operator, value), where(criteria) or where(q => ...) for a nested group.
+   * @returns {QueryBuilder} This builder
+   */
+  where(...args) {
+    return this._addWhere(this._groups[this._groups.length - 1], args);
+  }
+
+  /**
+   * Start a new group that is OR-ed with the previous ones
+   * @returns {QueryBuilder} This builder
+   */
+  orWhere(...args) {
+    const group = {};
+    this._groups.push(group);
+    return this._addWhere(group, args);
+  }
+
+  /**
+   * Add a sort field. Call again to add secondary sort fields.
+   * @param {string} field - Field to sort by
+   * @param {string} [direction='asc'] - 'asc' or 'desc'
+   * @returns {QueryBuilder} This builder
+   */
+  orderBy(field, direction = 'asc') {
+    this._orderBy[field] = direction;
+    return this;
+  }
+
+  /**
+   * Only return the given fields
+   * @param {Array<string>|...string} fields - Field names
+   * @returns {QueryBuilder} This builder
+   */
+  select(...fields) {
+    this._select = Array.isArray(fields[0]) ? fields[0] : fields;
+    return this;
+  }
+
+  /**
+   * @param {number} limit - Maximum number of records
+   * @returns {QueryBuilder} This builder
+   */
+  limit(limit) {
+    this._limit = limit;
+    return this;
+  }
+
+  /**
+   * @param {number} offset - Number of records to skip
+   * @returns {QueryBuilder} This builder
+   */
+  offset(offset) {
+    this._offset = offset;
+    return this;
+  }
+
+  /**
+   * Set limit and offset from a 1-based page number
+   * @param {number} page - Page number
+   * @param {number} [perPage=50] - Records per page
+   * @returns {QueryBuilder} This builder
+   */
+  page(page, perPage = 50) {
+    this._limit = perPage;
+    this._offset = (page - 1) * perPage;
+    return this;
+  }
+
+  /**
+   * Include soft-deleted records (paranoid models)
+   * @returns {QueryBuilder} This builder
+   */
+  withDeleted() {
+    this._scope = { withDeleted: true };
+    return this;
+  }
+
+  /**
+   * Return only soft-deleted records (paranoid models)
+   * @returns {QueryBuilder} This builder
+   */
+  onlyDeleted() {
+    this._scope = { onlyDeleted: true };
+    return this;
+  }
+
+  /**
+   * Copy this builder so it can be extended without affecting the original
+   * @returns {QueryBuilder} A new builder with the same state
+   */
+  clone() {
+    const copy = new QueryBuilder(this.model);
+    copy._groups = cloneCriteria(this._groups);
+    copy._orderBy = { ...this._orderBy };
+    copy._select = this._select ? [...this._select] : null;
+    copy._limit = this._limit;
+    copy._offset = this._offset;
+    copy._scope = { ...this._scope };
+    return copy;
+  }
+
+  /**
+   * Compile the where/orWhere groups to search criteria
+   * @returns {Object} Criteria understood by Model._filterRows
+   */
+  _criteria() {
+    const groups = this._groups.filter(group => Object.keys(group).length);
+    if (groups.length <= 1) return groups[0] || {};
+    return { $or: groups };
+  }
+
+  /**
+   * Filter and sort every row in the sheet
+   * @returns {Array} Matching sheet rows in order
+   */
+  async _matchingRows() {
+    const model = this.model;
+    await model.init();
+
+    try {
+      const rows = await model._getRows();
+      const matched = model._scopeRows(model._filterRows(rows, this._criteria()), this._scope);
+
+      return Object.keys(this._orderBy).length
+        ? model._sortRows(matched, this._orderBy)
+        : matched;
+    } catch (error) {
+      throw wrapError(error, `Error running query on ${model.sheetName}`);
+    }
+  }
+
+  /**
+   * Run the query
+   * @returns {Array<Object>} Matching records
+   */
+  async get() {
+    const rows = await this._matchingRows();
+    const end = this._limit === undefined ? undefined : this._offset + this._limit;
+
+    const records = rows.slice(this._offset, end).map(row => this.model._rowToObject(row));
+
+    await this.model._afterFind(records);
+    return records.map(record => this.model._selectFields(record, this._select));
+  }
+
+  /**
+   * @returns {Object|null} The first matching record, or null
+   */
+  async first() {
+    const [record] = await this.clone().limit(1).get();
+    return record || null;
+  }
+
+  /**
+   * Count matching records, ignoring limit/offset
+   * @returns {number} Number of matching records
+   */
+  async count() {
+    const rows = await this._matchingRows();
+    return rows.length;
+  }
+
+  /**
+   * @returns {boolean} True if any record matches
+   */
+  async exists() {
+    const count = await this.count();
+    return count > 0;
+  }
+
+  /**
+   * Return a single field from each matching record
+   * @param {string} field - Field name
+   * @returns {Array} Field values
+   */
+  async pluck(field) {
+    const records = await this.clone().select([field]).get();
+    return records.map(record => record[field]);
+  }
+}
+
+module.exports = QueryBuilder;
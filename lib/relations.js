@@ -0,0 +1,214 @@
+/**
+ * Relationship declarations and eager loading for Google Sheets ORM
+ */
+const { SchemaError } = require('./errors');
+
+/**
+ * Lower-case the first letter of a model name ('BookTag' -> 'bookTag')
+ * @param {string} name - Model name
+ * @returns {string} Camel-cased name
+ */
+function camelName(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * Read a relation option given either as a string or inside an options object
+ * @param {string|Object} value - Foreign key or options
+ * @returns {Object} Options
+ */
+function toOptions(value) {
+  return typeof value === 'string' ? { foreignKey: value } : (value || {});
+}
+
+/**
+ * One-to-many: the target model holds a foreign key to this model
+ * @param {string} model - Target model name
+ * @param {string|Object} [options] - Foreign key on the target, or { foreignKey, localKey }
+ * @returns {Object} Relation definition
+ */
+function hasMany(model, options) {
+  return { type: 'hasMany', model, ...toOptions(options) };
+}
+
+/**
+ * One-to-one: the target model holds a foreign key to this model
+ * @param {string} model - Target model name
+ * @param {string|Object} [options] - Foreign key on the target, or { foreignKey, localKey }
+ * @returns {Object} Relation definition
+ */
+function hasOne(model, options) {
+  return { type: 'hasOne', model, ...toOptions(options) };
+}
+
+/**
+ * Inverse of hasMany/hasOne: this model holds a foreign key to the target
+ * @param {string} model - Target model name
+ * @param {string|Object} [options] - Foreign key on this model, or { foreignKey, targetKey }
+ * @returns {Object} Relation definition
+ */
+function belongsTo(model, options) {
+  return { type: 'belongsTo', model, ...toOptions(options) };
+}
+
+/**
+ * Many-to-many through a junction model
+ * @param {string} model - Target model name
+ * @param {Object} options - Relation options
+ * @param {string} options.through - Junction model name
+ * @param {string} [options.foreignKey] - Junction field pointing at this model
+ * @param {string} [options.otherKey] - Junction field pointing at the target
+ * @returns {Object} Relation definition
+ */
+function belongsToMany(model, options = {}) {
+  if (!options.through) {
+    throw new SchemaError(`belongsToMany('${model}') requires a 'through' model`);
+  }
+  return { type: 'belongsToMany', model, ...options };
+}
+
+/**
+ * Normalize an include option to { relationName: nestedInclude }
+ * @param {string|Array|Object} include - 'books', ['books', 'tags'] or { books: ['tags'] }
+ * @returns {Object} Normalized include
+ */
+function normalizeInclude(include) {
+  if (!include) return {};
+  if (typeof include === 'string') return { [include]: null };
+  if (Array.isArray(include)) {
+    return include.reduce((result, item) => ({ ...result, ...normalizeInclude(item) }), {});
+  }
+  return include;
+}
+
+/**
+ * Group records by the string form of a field
+ * @param {Array<Object>} records - Records to group
+ * @param {string} field - Field to group by
+ * @returns {Map} Field value -> records
+ */
+function groupBy(records, field) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = String(record[field]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+  return groups;
+}
+
+/**
+ * Collect the distinct, non-empty values of a field
+ * @param {Array<Object>} records - Records
+ * @param {string} field - Field name
+ * @returns {Array} Distinct values
+ */
+function collectKeys(records, field) {
+  const keys = records
+    .map(record => record[field])
+    .filter(value => value !== null && value !== undefined && value !== '');
+  return [...new Set(keys)];
+}
+
+/**
+ * Read every target record whose field is one of the given keys.
+ * One sheet read per call, however many keys there are.
+ * @param {Model} target - Model to read
+ * @param {string} field - Field to match
+ * @param {Array} keys - Values to match
+ * @param {string|Array|Object} [include] - Nested relations to load
+ * @returns {Array<Object>} Matching records
+ */
+async function findByKeys(target, field, keys, include) {
+  if (!keys.length) return [];
+  const records = await target.find({ where: { [field]: { $in: keys } } });
+  return include ? loadRelations(target, records, include) : records;
+}
+
+/**
+ * Eager-load relations onto records, reading each related sheet once
+ * @param {Model} model - Model the records belong to
+ * @param {Array<Object>} records - Records to populate
+ * @param {string|Array|Object} include - Relations to load
+ * @returns {Array<Object>} The same records, with relation properties set
+ */
+async function loadRelations(model, records, include) {
+  const includes = normalizeInclude(include);
+
+  for (const [name, nested] of Object.entries(includes)) {
+    const relation = model.relations[name];
+    if (!relation) {
+      throw new SchemaError(`Unknown relation '${name}' on model ${model.name}`);
+    }
+
+    const target = model.connection.model(relation.model);
+
+    switch (relation.type) {
+    case 'hasMany':
+    case 'hasOne': {
+      const foreignKey = relation.foreignKey || `${camelName(model.name)}Id`;
+      const localKey = relation.localKey || model.primaryKey;
+      const related = groupBy(
+        await findByKeys(target, foreignKey, collectKeys(records, localKey), nested),
+        foreignKey
+      );
+
+      records.forEach(record => {
+        const matches = related.get(String(record[localKey])) || [];
+        record[name] = relation.type === 'hasOne' ? (matches[0] || null) : matches;
+      });
+      break;
+    }
+
+    case 'belongsTo': {
+      const foreignKey = relation.foreignKey || `${camelName(relation.model)}Id`;
+      const targetKey = relation.targetKey || target.primaryKey;
+      const related = groupBy(
+        await findByKeys(target, targetKey, collectKeys(records, foreignKey), nested),
+        targetKey
+      );
+
+      records.forEach(record => {
+        const matches = related.get(String(record[foreignKey])) || [];
+        record[name] = matches[0] || null;
+      });
+      break;
+    }
+
+    case 'belongsToMany': {
+      const through = model.connection.model(relation.through);
+      const foreignKey = relation.foreignKey || `${camelName(model.name)}Id`;
+      const otherKey = relation.otherKey || `${camelName(relation.model)}Id`;
+
+      const links = await findByKeys(through, foreignKey, collectKeys(records, model.primaryKey));
+      const targets = groupBy(
+        await findByKeys(target, target.primaryKey, collectKeys(links, otherKey), nested),
+        target.primaryKey
+      );
+      const linksBySource = groupBy(links, foreignKey);
+
+      records.forEach(record => {
+        const recordLinks = linksBySource.get(String(record[model.primaryKey])) || [];
+        record[name] = recordLinks
+          .map(link => (targets.get(String(link[otherKey])) || [])[0])
+          .filter(Boolean);
+      });
+      break;
+    }
+
+    default:
+      throw new SchemaError(`Unknown relation type '${relation.type}' for '${name}'`);
+    }
+  }
+
+  return records;
+}
+
+module.exports = {
+  hasMany,
+  hasOne,
+  belongsTo,
+  belongsToMany,
+  normalizeInclude,
+  loadRelations
+};
@@ -0,0 +1,126 @@
+/**
+ * Retry policy for Google API calls, with exponential backoff. Rate limit
+ * (429) errors are always retried, since Google did not apply the request.
+ * Server (5xx) errors and dropped connections are retried only for requests
+ * marked idempotent: the first attempt may have been applied, and repeating
+ * an append or a delete by row index would duplicate or lose data.
+ */
+const { QuotaExceededError, CONNECTION_CODES, statusOf } = require('./errors');
+
+const DEFAULT_RETRY = {
+  retries: 5,
+  minDelay: 500,
+  maxDelay: 30000,
+  jitter: 0.2
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay requested by a Retry-After header, in milliseconds
+ * @param {Error} error - Failed request error
+ * @returns {number|null} Delay, or null without a usable header
+ */
+function retryAfter(error) {
+  const headers = error.response && error.response.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+class RetryPolicy {
+  /**
+   * @param {Object|boolean} [options] - Retry options, or false to disable retries
+   * @param {number} [options.retries=5] - Retries after the first attempt
+   * @param {number} [options.minDelay=500] - Delay before the first retry, in ms
+   * @param {number} [options.maxDelay=30000] - Longest backoff delay, in ms
+   * @param {number} [options.jitter=0.2] - Fraction of each delay that is randomized (0-1)
+   */
+  constructor(options = {}) {
+    const settings = options === false ? { retries: 0 } : options;
+    Object.assign(this, DEFAULT_RETRY, settings);
+  }
+
+  /**
+   * @param {Error} error - Failed request error
+   * @param {boolean} [idempotent=false] - Whether repeating the request is harmless
+   * @returns {boolean} Whether the request is worth retrying
+   */
+  isRetryable(error, idempotent = false) {
+    const status = statusOf(error);
+    if (status === 429) return true;
+    return idempotent && ((status >= 500 && status < 600) || CONNECTION_CODES.includes(error.code));
+  }
+
+  /**
+   * Delay before a retry: Retry-After when the API sent one, otherwise
+   * exponential backoff from minDelay, capped at maxDelay
+   * @param {number} attempt - Zero-based retry number
+   * @param {Error} error - Failed request error
+   * @returns {number} Delay in ms
+   */
+  delay(attempt, error) {
+    const requested = retryAfter(error);
+    if (requested !== null) return requested;
+
+    const backoff = Math.min(this.minDelay * Math.pow(2, attempt), this.maxDelay);
+    return Math.round(backoff * (1 - this.jitter * Math.random()));
+  }
+
+  /**
+   * Run a request, retrying it while it fails with a retryable error
+   * @param {Function} request - Async function making one API call
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.idempotent] - The request is a read, or a write
+   *   that is safe to repeat; also retry it on server and connection errors
+   * @returns {*} The request's result
+   */
+  async run(request, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!this.isRetryable(error, options.idempotent)) throw error;
+
+        if (attempt >= this.retries) {
+          if (statusOf(error) !== 429) throw error;
+          throw new QuotaExceededError(
+            `Sheets API quota exceeded after ${attempt} ${attempt === 1 ? 'retry' : 'retries'}: ${error.message}`,
+            { cause: error, status: 429 }
+          );
+        }
+
+        await sleep(this.delay(attempt, error));
+      }
+    }
+  }
+}
+
+/**
+ * Run one API call through the scheduler, retrying it on transient errors.
+ * Every attempt takes its own place in the queue.
+ * @param {RetryPolicy} retry - Retry policy
+ * @param {RequestScheduler} scheduler - Scheduler the attempts queue on
+ * @param {Function} request - Async function making the call
+ * @param {Object} [options] - { idempotent }, see RetryPolicy#run
+ * @returns {*} The call's result
+ */
+function scheduledRequest(retry, scheduler, request, options) {
+  return retry.run(() => scheduler.schedule(request), options);
+}
+
+module.exports = {
+  RetryPolicy,
+  DEFAULT_RETRY,
+  scheduledRequest
+};
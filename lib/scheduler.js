@@ -0,0 +1,116 @@
+/**
+ * Client-side request scheduler: queues API calls so that every model sharing
+ * a connection stays under one concurrency cap and per-minute request budget
+ */
+
+const DEFAULT_LIMITS = {
+  concurrency: 5,
+  requestsPerMinute: 60
+};
+
+const WINDOW = 60000;
+
+class RequestScheduler {
+  /**
+   * @param {Object|boolean} [options] - Limits, or false to run requests unthrottled
+   * @param {number} [options.concurrency=5] - Requests in flight at once
+   * @param {number} [options.requestsPerMinute=60] - Requests started in any 60s window
+   */
+  constructor(options = {}) {
+    const limits = options === false
+      ? { concurrency: Infinity, requestsPerMinute: Infinity }
+      : { ...DEFAULT_LIMITS, ...options };
+
+    this.concurrency = limits.concurrency;
+    this.requestsPerMinute = limits.requestsPerMinute;
+
+    this._queue = [];
+    this._active = 0;
+    this._started = [];
+    this._timer = null;
+    this._stats = { completed: 0, failed: 0, throttled: 0, maxQueued: 0, totalWait: 0 };
+  }
+
+  /**
+   * Queue a request; it starts once both limits allow
+   * @param {Function} request - Async function making one API call
+   * @returns {Promise<*>} The request's result
+   */
+  schedule(request) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ request, resolve, reject, queuedAt: Date.now() });
+      this._stats.maxQueued = Math.max(this._stats.maxQueued, this._queue.length);
+      this._drain();
+    });
+  }
+
+  /**
+   * Start queued requests while there is capacity, or wait for the oldest
+   * request to leave the 60s window
+   */
+  _drain() {
+    while (this._queue.length && this._active < this.concurrency) {
+      const now = Date.now();
+      while (this._started.length && this._started[0] <= now - WINDOW) this._started.shift();
+
+      if (this._started.length >= this.requestsPerMinute) {
+        if (!this._timer) {
+          this._stats.throttled++;
+          this._timer = setTimeout(() => {
+            this._timer = null;
+            this._drain();
+          }, this._started[0] + WINDOW - now);
+        }
+        return;
+      }
+
+      this._start(this._queue.shift(), now);
+    }
+  }
+
+  _start(entry, now) {
+    this._active++;
+    this._started.push(now);
+    this._stats.totalWait += now - entry.queuedAt;
+
+    Promise.resolve()
+      .then(() => entry.request())
+      .then(result => {
+        this._stats.completed++;
+        entry.resolve(result);
+      }, error => {
+        this._stats.failed++;
+        entry.reject(error);
+      })
+      .then(() => {
+        this._active--;
+        this._drain();
+      });
+  }
+
+  /**
+   * Queue metrics, to spot backpressure
+   * @returns {Object} { queued, active, requestsLastMinute, completed, failed,
+   *   throttled, maxQueued, averageWait }
+   */
+  metrics() {
+    const now = Date.now();
+    const started = this._stats.completed + this._stats.failed + this._active;
+
+    return {
+      queued: this._queue.length,
+      active: this._active,
+      requestsLastMinute: this._started.filter(time => time > now - WINDOW).length,
+      completed: this._stats.completed,
+      failed: this._stats.failed,
+      throttled: this._stats.throttled,
+      maxQueued: this._stats.maxQueued,
+      averageWait: started ? Math.round(this._stats.totalWait / started) : 0
+    };
+  }
+}
+
+module.exports = {
+  RequestScheduler,
+  DEFAULT_LIMITS
+};
@@ -8,6 +8,9 @@
  */
 const { google } = require('googleapis');
 const { GoogleAuth } = require('google-auth-library');
+const { AuthError, ConnectionError, wrapError } = require('./errors');
+const { RetryPolicy, scheduledRequest } = require('./retry');
+const { RequestScheduler } = require('./scheduler');
 
 /**
  * SheetsManager class for creating and managing Google Sheets
@@ -16,16 +19,33 @@ class SheetsManager {
   /**
    * @param {Object} config - Configuration options
    * @param {Object} config.credentials - Service account credentials JSON
+   * @param {Object|boolean} [config.retry] - Retry options for API calls (see RetryPolicy), or false
+   * @param {RequestScheduler} [config.scheduler] - Scheduler to share, e.g. orm.scheduler
+   * @param {Object|boolean} [config.rateLimit] - Limits for a scheduler of its own (see RequestScheduler)
    */
   constructor(config) {
     if (!config.credentials) {
-      throw new Error('Service account credentials are required');
+      throw new AuthError('Service account credentials are required');
     }
 
     this.credentials = config.credentials;
     this.auth = null;
     this.drive = null;
     this.sheets = null;
+    this.retry = new RetryPolicy(config.retry);
+    this.scheduler = config.scheduler || new RequestScheduler(config.rateLimit);
+  }
+
+  /**
+   * Run one API call with this manager's retry policy and scheduler.
+   * Creating spreadsheets, permissions or sheets is not safe to repeat, so
+   * only reads pass { idempotent: true }.
+   * @param {Function} request - Async function making the call
+   * @param {Object} [options] - { idempotent }, see RetryPolicy#run
+   * @returns {*} The call's result
+   */
+  _request(request, options) {
+    return scheduledRequest(this.retry, this.scheduler, request, options);
   }
 
   /**
@@ -49,7 +69,7 @@ class SheetsManager {
 
       return this;
     } catch (error) {
-      throw new Error(`Failed to initialize SheetsManager: ${error.message}`);
+      throw wrapError(error, 'Failed to initialize SheetsManager', ConnectionError);
     }
   }
 
@@ -67,7 +87,7 @@ class SheetsManager {
 
     try {
       // Create a new spreadsheet
-      const response = await this.sheets.spreadsheets.create({
+      const response = await this._request(() => this.sheets.spreadsheets.create({
         requestBody: {
           properties: {
             title: fileName
@@ -78,7 +98,7 @@ class SheetsManager {
             }
           }))
         }
-      });
+      }));
 
       const spreadsheetId = response.data.spreadsheetId;
       const spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
@@ -95,7 +115,7 @@ class SheetsManager {
         url: spreadsheetUrl
       };
     } catch (error) {
-      throw new Error(`Failed to create spreadsheet: ${error.message}`);
+      throw wrapError(error, 'Failed to create spreadsheet');
     }
   }
 
@@ -112,21 +132,21 @@ class SheetsManager {
     }
 
     try {
-      const response = await this.drive.permissions.create({
+      const response = await this._request(() => this.drive.permissions.create({
         fileId: spreadsheetId,
         requestBody: {
           type: 'user',
           role: role,
           emailAddress: email
         }
-      });
+      }));
 
       return {
         success: true,
         permissionId: response.data.id
       };
     } catch (error) {
-      throw new Error(`Failed to share spreadsheet: ${error.message}`);
+      throw wrapError(error, 'Failed to share spreadsheet');
     }
   }
 
@@ -141,9 +161,9 @@ class SheetsManager {
     }
 
     try {
-      const response = await this.sheets.spreadsheets.get({
+      const response = await this._request(() => this.sheets.spreadsheets.get({
         spreadsheetId: spreadsheetId
-      });
+      }), { idempotent: true });
 
       return response.data.sheets.map(sheet => ({
         id: sheet.properties.sheetId,
@@ -151,7 +171,7 @@ class SheetsManager {
         index: sheet.properties.index
       }));
     } catch (error) {
-      throw new Error(`Failed to list sheets: ${error.message}`);
+      throw wrapError(error, 'Failed to list sheets');
     }
   }
 
@@ -167,7 +187,7 @@ class SheetsManager {
     }
 
     try {
-      const response = await this.sheets.spreadsheets.batchUpdate({
+      const response = await this._request(() => this.sheets.spreadsheets.batchUpdate({
         spreadsheetId: spreadsheetId,
         requestBody: {
           requests: [
@@ -180,14 +200,14 @@ class SheetsManager {
             }
           ]
         }
-      });
+      }));
 
       return {
         id: response.data.replies[0].addSheet.properties.sheetId,
         title: response.data.replies[0].addSheet.properties.title
       };
     } catch (error) {
-      throw new Error(`Failed to add sheet: ${error.message}`);
+      throw wrapError(error, 'Failed to add sheet');
     }
   }
 }
@@ -0,0 +1,193 @@
+/**
+ * Units of work across models. The Sheets API has no transactions, so writes
+ * are queued while the callback runs and flushed in order on commit. If a
+ * write fails, the writes already made are undone with compensating writes:
+ * created rows are deleted, updated rows get their old values back and
+ * deleted rows are appended again.
+ */
+const { RollbackError, SchemaError } = require('./errors');
+
+/**
+ * Write methods of one model, queued on a transaction
+ */
+class TransactionModel {
+  /**
+   * @param {Transaction} transaction - Owning transaction
+   * @param {Model} model - Model to write to
+   */
+  constructor(transaction, model) {
+    this.transaction = transaction;
+    this.model = model;
+  }
+
+  /**
+   * Queue a record for creation. Consecutive creates on one model are
+   * written with a single append.
+   * @param {Object} data - Field values
+   * @returns {Object} The queued record, with its id assigned by the model's
+   *   idStrategy; increment ids are only assigned on commit
+   */
+  async create(data) {
+    const [record] = await this.createMany([data]);
+    return record;
+  }
+
+  /**
+   * Queue several records for creation
+   * @param {Array<Object>} dataList - Records to create
+   * @returns {Array<Object>} The queued records, with their ids assigned. The
+   *   next increment id depends on the sheet at commit, so with 'increment'
+   *   the id is filled in on these objects once the transaction commits.
+   */
+  async createMany(dataList) {
+    await this.model.init();
+
+    const deferred = this.model.idStrategy === 'increment';
+    const assignId = deferred ? null : this.model._idAllocator();
+    const records = [];
+    for (const data of dataList) {
+      const record = { ...data };
+      if (assignId) await assignId(record);
+      records.push(record);
+    }
+
+    this.transaction._queue(this.model, 'createMany', [[...records]], {}, records);
+    return records;
+  }
+
+  /**
+   * Queue an update, see Model#update
+   */
+  async update(id, data, options = {}) {
+    this.transaction._queue(this.model, 'update', [id, data], options);
+  }
+
+  /**
+   * Queue an update of every matching record, see Model#updateMany
+   */
+  async updateMany(search, data) {
+    this.transaction._queue(this.model, 'updateMany', [search, data]);
+  }
+
+  /**
+   * Queue a delete, see Model#delete
+   */
+  async delete(id, options = {}) {
+    this.transaction._queue(this.model, 'delete', [id], options);
+  }
+
+  /**
+   * Queue a delete of every matching record, see Model#deleteMany
+   */
+  async deleteMany(search, options = {}) {
+    this.transaction._queue(this.model, 'deleteMany', [search], options);
+  }
+}
+
+class Transaction {
+  /**
+   * @param {GoogleSheetsORM} orm - Connection the writes go to
+   */
+  constructor(orm) {
+    this.orm = orm;
+    this.state = 'pending';
+    this._operations = [];
+    this._journal = [];
+  }
+
+  /**
+   * Writes to a model, queued until commit
+   * @param {string} name - Model name
+   * @returns {TransactionModel} create, createMany, update, updateMany, delete and deleteMany
+   */
+  model(name) {
+    return new TransactionModel(this, this.orm.model(name));
+  }
+
+  /**
+   * @param {Model} model - Model to write to
+   * @param {string} method - Model method to call on commit
+   * @param {Array} args - Its arguments, before the options
+   * @param {Object} [options] - Its options
+   * @param {Array<Object>} [records] - Records handed to the caller, which get
+   *   the primary keys of the created rows on commit
+   */
+  _queue(model, method, args, options = {}, records = []) {
+    if (this.state !== 'pending') {
+      throw new SchemaError(`Cannot queue writes on a transaction that is ${this.state}`);
+    }
+
+    const last = this._operations[this._operations.length - 1];
+    if (method === 'createMany' && last && last.model === model && last.method === method) {
+      last.args[0].push(...args[0]);
+      last.records.push(...records);
+      return;
+    }
+    this._operations.push({ model, method, args, options, records });
+  }
+
+  /**
+   * Called by models after each write, with what it takes to undo it
+   */
+  _record(model, type, entries) {
+    this._journal.push({ model, type, entries });
+  }
+
+  /**
+   * Flush the queued writes in order. If one fails, undo the writes already
+   * made and rethrow its error.
+   */
+  async commit() {
+    if (this.state !== 'pending') {
+      throw new SchemaError(`Cannot commit a transaction that is ${this.state}`);
+    }
+    this.state = 'committing';
+
+    try {
+      for (const { model, method, args, options, records } of this._operations) {
+        const result = await model[method](...args, { ...options, transaction: this });
+        records.forEach((record, i) => {
+          record[model.primaryKey] = result.data[i][model.primaryKey];
+        });
+      }
+      this.state = 'committed';
+    } catch (error) {
+      await this.rollback(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo every write made so far, newest first. Undoing skips hooks and
+   * delete rules, and leaves rows changed outside the transaction since it
+   * wrote them alone.
+   * @param {Error} [cause] - Why the transaction is rolled back
+   * @throws {RollbackError} If some writes could not be undone
+   */
+  async rollback(cause = new Error('Transaction rolled back')) {
+    if (this.state === 'committed' || this.state === 'rolledBack') {
+      throw new SchemaError(`Cannot roll back a transaction that is ${this.state}`);
+    }
+    const errors = [];
+    const undone = new Map();
+
+    for (const { model, type, entries } of this._journal.reverse()) {
+      try {
+        await model._undo(type, entries, undone);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    this._journal = [];
+    this.state = 'rolledBack';
+    if (errors.length) {
+      throw new RollbackError(cause, errors);
+    }
+  }
+}
+
+module.exports = {
+  Transaction,
+  TransactionModel
+};
@@ -0,0 +1,179 @@
+/**
+ * Built-in schema types: how values are checked, and how they are written to
+ * and read back from sheet cells (which always hold strings)
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Parse a JSON cell, returning undefined when it isn't valid JSON.
+ * Non-string values (already parsed, e.g. nested in an array) pass through.
+ * @param {*} value - Cell value
+ * @returns {*} Parsed value, or undefined
+ */
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function isUrl(value) {
+  if (typeof value !== 'string' || !/^[a-z][a-z\d+.-]*:/i.test(value)) return false;
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Type definitions. Each may provide:
+ * - check(value, settings): whether a value written by the app is acceptable
+ * - message(field, settings): error message when check fails
+ * - rule: rule name reported when check fails (defaults to 'type')
+ * - serialize(value, settings): value to store in the cell
+ * - deserialize(value, settings): typed value read back from the cell
+ * Format types (enum, email, url, uuid, array, object) accept '' as "no value".
+ */
+const TYPES = {
+  string: {
+    check: (value) => typeof value === 'string' || value instanceof String
+  },
+
+  number: {
+    check: (value) => typeof value === 'number' || !isNaN(Number(value)),
+    deserialize: (value) => (value === '' ? null : parseFloat(value))
+  },
+
+  integer: {
+    check: (value) => value === '' ||
+      ((typeof value === 'number' || typeof value === 'string') && Number.isInteger(Number(value))),
+    deserialize: (value) => (value === '' ? null : parseFloat(value))
+  },
+
+  boolean: {
+    check: (value) => typeof value === 'boolean' || value === 'true' || value === 'false' || value === '1' || value === '0',
+    deserialize: (value) => value === true || /^(true|1)$/i.test(value)
+  },
+
+  date: {
+    check: (value) => value instanceof Date || !isNaN(Date.parse(value)),
+    serialize: (value) => (value instanceof Date ? value.toISOString() : value),
+    deserialize: (value) => (value ? new Date(value) : null)
+  },
+
+  json: {
+    check: (value) => typeof value !== 'function',
+    serialize: (value) => (typeof value === 'string' ? value : JSON.stringify(value)),
+    deserialize: (value) => {
+      if (!value) return null;
+      const parsed = parseJson(value);
+      return parsed === undefined ? value : parsed;
+    }
+  },
+
+  enum: {
+    rule: 'enum',
+    check: (value, settings) => value === '' ||
+      (settings.values || []).some(option => String(option) === String(value)),
+    message: (field, settings) => `Field '${field}' must be one of ${(settings.values || []).join(', ')}`,
+    deserialize: (value, settings) => {
+      const match = (settings.values || []).find(option => String(option) === String(value));
+      return match === undefined ? value : match;
+    }
+  },
+
+  email: {
+    check: (value) => value === '' || (typeof value === 'string' && EMAIL_PATTERN.test(value))
+  },
+
+  url: {
+    check: (value) => value === '' || isUrl(value)
+  },
+
+  uuid: {
+    check: (value) => value === '' || (typeof value === 'string' && UUID_PATTERN.test(value))
+  },
+
+  array: {
+    check: (value) => value === '' || Array.isArray(value),
+    serialize: (value) => (Array.isArray(value) ? JSON.stringify(value) : value),
+    deserialize: (value, settings) => {
+      if (value === '') return [];
+
+      // JSON written by the ORM, or a hand-typed comma-separated list
+      let items = parseJson(value);
+      if (!Array.isArray(items)) {
+        items = String(value).split(',').map(item => item.trim()).filter(item => item !== '');
+      }
+      return settings.items ? items.map(item => deserializeValue(item, settings.items)) : items;
+    }
+  },
+
+  object: {
+    check: (value) => value === '' || isPlainObject(value),
+    serialize: (value) => (isPlainObject(value) ? JSON.stringify(value) : value),
+    deserialize: (value, settings) => {
+      if (value === '') return null;
+
+      const parsed = parseJson(value);
+      if (!isPlainObject(parsed)) return value;
+
+      Object.entries(settings.schema || {}).forEach(([field, fieldSettings]) => {
+        if (parsed[field] !== undefined) {
+          parsed[field] = deserializeValue(parsed[field], fieldSettings);
+        }
+      });
+      return parsed;
+    }
+  }
+};
+
+/**
+ * Look up a type definition by name (case-insensitive)
+ * @param {string} name - Type name
+ * @returns {Object|undefined} Type definition
+ */
+function getType(name) {
+  return name ? TYPES[String(name).toLowerCase()] : undefined;
+}
+
+/**
+ * Convert a value to what should be stored in its cell
+ * @param {*} value - Value from the app
+ * @param {Object} [settings] - Field settings from the schema
+ * @returns {*} Cell value
+ */
+function serializeValue(value, settings) {
+  const type = getType(settings && settings.type);
+  if (!type || !type.serialize || value === null || value === undefined) return value;
+  return type.serialize(value, settings);
+}
+
+/**
+ * Convert a cell value back to its schema type
+ * @param {*} value - Cell value
+ * @param {Object} [settings] - Field settings from the schema
+ * @returns {*} Typed value
+ */
+function deserializeValue(value, settings) {
+  const type = getType(settings && settings.type);
+  if (!type || !type.deserialize || value === null || value === undefined) return value;
+  return type.deserialize(value, settings);
+}
+
+module.exports = {
+  TYPES,
+  getType,
+  serializeValue,
+  deserializeValue
+};
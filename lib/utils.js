@@ -1,6 +1,8 @@
 /**
  * Utility functions for Google Sheets ORM
  */
+const { getType } = require('./types');
+const { ValidationError, SchemaError } = require('./errors');
 
 /**
  * Apply default values from schema
@@ -29,82 +31,332 @@ function applyDefaults(data, schema) {
 }
 
 /**
- * Validate data against schema
+ * Validate data against schema, running custom validators (sync or async)
  * @param {Object} data - The data to validate
  * @param {Object} schema - The schema definition
  * @param {Object} options - Validation options
  * @param {boolean} options.partial - Whether this is a partial update
+ * @param {Object} [options.record] - Whole record passed to custom validators (defaults to data)
+ * @returns {Promise<boolean>} True if valid
+ * @throws {ValidationError} With one { field, rule, message, value } entry per problem
+ */
+async function validateData(data, schema, options = {}) {
+  const entries = collectErrors(data, schema, options, options.record || data);
+  const errors = (await Promise.all(entries)).filter(Boolean);
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return true;
+}
+
+/**
+ * Validate data synchronously, throwing instead of returning a promise.
+ * Custom validators must return plain values, not promises.
+ * @param {Object} data - The data to validate
+ * @param {Object} schema - The schema definition
+ * @param {Object} options - Same options as validateData
  * @returns {boolean} True if valid
+ * @throws {ValidationError} With one { field, rule, message, value } entry per problem
+ * @throws {SchemaError} If a custom validator returns a promise
  */
-function validateData(data, schema, options = {}) {
+function validateDataSync(data, schema, options = {}) {
+  const entries = collectErrors(data, schema, options, options.record || data);
+
+  if (entries.some(isPromise)) {
+    throw new SchemaError('A custom validator returned a promise; use validateData() for async validators');
+  }
+
+  const errors = entries.filter(Boolean);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return true;
+}
+
+/**
+ * Collect validation errors for every field in a schema. Async custom
+ * validators leave a promise of their entry (or null) in the list.
+ * @param {Object} data - The data to validate
+ * @param {Object} schema - The schema definition
+ * @param {Object} options - { partial }
+ * @param {Object} record - Whole record passed to custom validators
+ * @param {string} [prefix] - Path of the enclosing field, for nested objects
+ * @returns {Array<Object|Promise|null>} Error entries
+ */
+function collectErrors(data, schema, options, record, prefix = '') {
   const errors = [];
   const { partial = false } = options;
 
-  Object.entries(schema).forEach(([field, settings]) => {
+  for (const [name, settings] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    const value = data[name];
+
     // Skip validation for missing fields in partial update
-    if (partial && data[field] === undefined) return;
+    if (partial && value === undefined) continue;
 
     // Check required fields (only for full objects or if field is present)
-    if (!partial && settings.required && (data[field] === undefined || data[field] === null || data[field] === '')) {
-      errors.push(`Field '${field}' is required`);
+    if (!partial && settings.required && (value === undefined || value === null || value === '')) {
+      errors.push({ field, rule: 'required', message: `Field '${field}' is required`, value });
     }
 
     // Skip further validation if field is not present
-    if (data[field] === undefined) return;
-
-    // Validate type
-    if (settings.type) {
-      let valid = true;
-      const value = data[field];
-
-      switch (settings.type.toLowerCase()) {
-      case 'string':
-        valid = typeof value === 'string' || value instanceof String;
-        break;
-      case 'number':
-        valid = typeof value === 'number' || !isNaN(Number(value));
-        break;
-      case 'boolean':
-        valid = typeof value === 'boolean' || value === 'true' || value === 'false' || value === '1' || value === '0';
-        break;
-      case 'date':
-        valid = value instanceof Date || !isNaN(Date.parse(value));
-        break;
-      }
+    if (value === undefined) continue;
 
-      if (!valid) {
-        errors.push(`Field '${field}' should be of type ${settings.type}`);
-      }
+    errors.push(...validateValue(field, value, settings, record));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate one value against its field settings
+ * @param {string} field - Field path, used in messages
+ * @param {*} value - The value
+ * @param {Object} settings - Field settings from the schema
+ * @param {Object} record - Whole record passed to custom validators
+ * @returns {Array<Object|Promise|null>} Error entries
+ */
+function validateValue(field, value, settings, record) {
+  const errors = [];
+  const fail = (rule, message) => errors.push({ field, rule, message, value });
+  const typeName = settings.type ? settings.type.toLowerCase() : null;
+  const type = getType(typeName);
+
+  // Validate type; the remaining rules assume the right type
+  if (type && !type.check(value, settings)) {
+    fail(type.rule || 'type', type.message ? type.message(field, settings) : `Field '${field}' should be of type ${settings.type}`);
+    return errors;
+  }
+
+  // Validate min/max for numbers
+  if (typeName === 'number' || typeName === 'integer') {
+    const numValue = Number(value);
+    if (settings.min !== undefined && numValue < settings.min) {
+      fail('min', `Field '${field}' must be at least ${settings.min}`);
     }
+    if (settings.max !== undefined && numValue > settings.max) {
+      fail('max', `Field '${field}' must be at most ${settings.max}`);
+    }
+  }
 
-    // Validate min/max for numbers
-    if (settings.type === 'number') {
-      const numValue = Number(data[field]);
-      if (settings.min !== undefined && numValue < settings.min) {
-        errors.push(`Field '${field}' must be at least ${settings.min}`);
-      }
-      if (settings.max !== undefined && numValue > settings.max) {
-        errors.push(`Field '${field}' must be at most ${settings.max}`);
-      }
+  // Validate min/max length for strings
+  if (typeName === 'string' || typeName === 'email' || typeName === 'url') {
+    const strValue = String(value);
+    if (settings.minLength !== undefined && strValue.length < settings.minLength) {
+      fail('minLength', `Field '${field}' must be at least ${settings.minLength} characters`);
     }
+    if (settings.maxLength !== undefined && strValue.length > settings.maxLength) {
+      fail('maxLength', `Field '${field}' must be at most ${settings.maxLength} characters`);
+    }
+  }
 
-    // Validate min/max length for strings
-    if (settings.type === 'string') {
-      const strValue = String(data[field]);
-      if (settings.minLength !== undefined && strValue.length < settings.minLength) {
-        errors.push(`Field '${field}' must be at least ${settings.minLength} characters`);
-      }
-      if (settings.maxLength !== undefined && strValue.length > settings.maxLength) {
-        errors.push(`Field '${field}' must be at most ${settings.maxLength} characters`);
-      }
+  // Validate against a regular expression; empty values are left to `required`
+  if (settings.pattern && !isEmpty(value)) {
+    const pattern = settings.pattern instanceof RegExp ? settings.pattern : new RegExp(settings.pattern);
+    if (!pattern.test(String(value))) {
+      fail('pattern', settings.message || `Field '${field}' does not match the required format`);
     }
-  });
+  }
 
-  if (errors.length > 0) {
-    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  // Validate array items and nested objects
+  if (typeName === 'array' && Array.isArray(value) && settings.items) {
+    for (let i = 0; i < value.length; i++) {
+      errors.push(...validateValue(`${field}[${i}]`, value[i], settings.items, record));
+    }
+  }
+  if (typeName === 'object' && value && typeof value === 'object' && settings.schema) {
+    errors.push(...collectErrors(value, settings.schema, {}, record, `${field}.`));
   }
 
-  return true;
+  // Custom validator, once the other rules pass (including async ones on items)
+  if (settings.validate) {
+    const pending = errors.filter(isPromise);
+    if (errors.length === pending.length) {
+      errors.push(pending.length
+        ? Promise.all(pending).then(results => (results.some(Boolean) ? null : runValidator(field, value, settings, record)))
+        : runValidator(field, value, settings, record));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Run a custom validator: it returns false or a message to fail, or throws
+ * @param {string} field - Field path, used in messages
+ * @param {*} value - The value
+ * @param {Object} settings - Field settings from the schema
+ * @param {Object} record - Whole record passed to the validator
+ * @returns {Object|Promise|null} Error entry, a promise of one, or null
+ */
+function runValidator(field, value, settings, record) {
+  const entry = result => {
+    if (result === false) {
+      return { field, rule: 'validate', message: settings.message || `Field '${field}' is invalid`, value };
+    }
+    return typeof result === 'string' ? { field, rule: 'validate', message: result, value } : null;
+  };
+
+  let result;
+  try {
+    result = settings.validate(value, record);
+  } catch (error) {
+    return entry(error.message);
+  }
+  return isPromise(result) ? result.then(entry, error => entry(error.message)) : entry(result);
+}
+
+function isPromise(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+ * Check whether a value counts as empty (sheet cells come back as '' or undefined)
+ * @param {*} value - The value to check
+ * @returns {boolean} True if empty
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Coerce a value to a number if it looks numeric
+ * @param {*} value - The value to coerce
+ * @returns {number} The number, or NaN
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Compare two values as dates, numbers or strings
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive; NaN if either value is empty
+ */
+function compareValues(a, b) {
+  if (isEmpty(a) || isEmpty(b)) return NaN;
+
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+
+  const numA = toNumber(a);
+  const numB = toNumber(b);
+  if (!isNaN(numA) && !isNaN(numB)) {
+    return numA - numB;
+  }
+
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Loose equality that also understands dates
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return compareValues(a, b) === 0;
+  }
+  return a == b;
+}
+
+/**
+ * Compile a SQL LIKE pattern: % matches any run of characters, _ matches one
+ * character, everything else is literal. Matching is case-insensitive and
+ * covers the whole value.
+ * @param {string} pattern - LIKE pattern, e.g. 'J%'
+ * @returns {RegExp} Equivalent regular expression
+ */
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Query operators. Bare names (eq, gt, contains...) are accepted as aliases.
+ */
+const OPERATORS = {
+  $eq: (value, target) => isEqual(value, target),
+  $ne: (value, target) => !isEqual(value, target),
+  $gt: (value, target) => compareValues(value, target) > 0,
+  $gte: (value, target) => compareValues(value, target) >= 0,
+  $lt: (value, target) => compareValues(value, target) < 0,
+  $lte: (value, target) => compareValues(value, target) <= 0,
+  $in: (value, target) => Array.isArray(target) && target.some(item => isEqual(value, item)),
+  $nin: (value, target) => Array.isArray(target) && !target.some(item => isEqual(value, item)),
+  $like: (value, target) => likeToRegExp(target).test(isEmpty(value) ? '' : String(value)),
+  $contains: (value, target) => !isEmpty(value) && String(value).includes(String(target)),
+  $startsWith: (value, target) => !isEmpty(value) && String(value).startsWith(String(target)),
+  $endsWith: (value, target) => !isEmpty(value) && String(value).endsWith(String(target)),
+  $exists: (value, target) => (target ? !isEmpty(value) : isEmpty(value))
+};
+
+/**
+ * Check a single value against a condition
+ * @param {*} value - The field value
+ * @param {*} condition - A literal, null, an array (in) or an operator object
+ * @param {string} [field] - Field name, for errors
+ * @returns {boolean} True if the value matches
+ * @throws {ValidationError} For an unknown operator
+ */
+function matchesCondition(value, condition, field) {
+  if (condition === null) return isEmpty(value);
+  if (Array.isArray(condition)) return OPERATORS.$in(value, condition);
+
+  if (typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([operator, target]) => {
+      const name = operator.startsWith('$') ? operator : `$${operator}`;
+      if (name === '$not') {
+        return !matchesCondition(value, target, field);
+      }
+      if (!OPERATORS[name]) {
+        const message = `Unknown query operator '${operator}'`;
+        throw new ValidationError([{ field, rule: 'operator', message, value: target }], message);
+      }
+      return OPERATORS[name](value, target);
+    });
+  }
+
+  return isEqual(value, condition);
+}
+
+/**
+ * Check a record against criteria. Field conditions are AND-ed; `$or`, `$and`
+ * (arrays of criteria) and `$not` (criteria) combine nested groups to any depth.
+ * @param {Object} record - The record
+ * @param {Object} criteria - Filter criteria
+ * @returns {boolean} True if the record matches
+ * @throws {ValidationError} For malformed criteria
+ */
+function matchesCriteria(record, criteria) {
+  return Object.entries(criteria).every(([key, condition]) => {
+    switch (key) {
+    case '$or':
+    case '$and':
+      if (!Array.isArray(condition)) {
+        const message = `'${key}' expects an array of conditions`;
+        throw new ValidationError([{ field: key, rule: 'query', message, value: condition }], message);
+      }
+      return key === '$or'
+        ? condition.some(sub => matchesCriteria(record, sub))
+        : condition.every(sub => matchesCriteria(record, sub));
+    case '$not':
+      return !matchesCriteria(record, condition);
+    default:
+      return matchesCondition(record[key], condition, key);
+    }
+  });
 }
 
 /**
@@ -114,56 +366,60 @@ function validateData(data, schema, options = {}) {
  * @returns {Array} Filtered records
  */
 function filterRecords(records, criteria) {
-  return records.filter(record => {
-    return Object.entries(criteria).every(([key, value]) => {
-      // Handle complex conditions
-      if (typeof value === 'object' && value !== null) {
-        if (value.$eq !== undefined) return record[key] == value.$eq;
-        if (value.$ne !== undefined) return record[key] != value.$ne;
-        if (value.$gt !== undefined) return parseFloat(record[key]) > value.$gt;
-        if (value.$gte !== undefined) return parseFloat(record[key]) >= value.$gte;
-        if (value.$lt !== undefined) return parseFloat(record[key]) < value.$lt;
-        if (value.$lte !== undefined) return parseFloat(record[key]) <= value.$lte;
-        if (value.$in !== undefined) return value.$in.includes(record[key]);
-        if (value.$nin !== undefined) return !value.$nin.includes(record[key]);
-        if (value.$like !== undefined) {
-          const regex = new RegExp(value.$like.replace(/%/g, '.*'), 'i');
-          return regex.test(record[key]);
-        }
-      }
+  if (!criteria || !Object.keys(criteria).length) return records;
+  return records.filter(record => matchesCriteria(record, criteria));
+}
 
-      // Simple equality
-      return record[key] == value;
-    });
-  });
+/**
+ * Normalize sort criteria to { field: direction } form
+ * @param {Object|string} orderBy - { age: 'desc' } or 'age:desc,name'
+ * @returns {Object} Sort criteria
+ */
+function normalizeOrderBy(orderBy) {
+  if (typeof orderBy !== 'string') return orderBy || {};
+
+  return orderBy.split(',').reduce((result, part) => {
+    const [field, direction = 'asc'] = part.trim().split(':');
+    if (field) result[field] = direction;
+    return result;
+  }, {});
+}
+
+/**
+ * Compare two records on sort criteria. Empty values sort last ascending,
+ * first descending.
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @param {Object|string} orderBy - Sort criteria
+ * @returns {number} Negative if a sorts first, positive if b does, 0 if tied
+ */
+function compareRecords(a, b, orderBy) {
+  for (const [field, direction] of Object.entries(normalizeOrderBy(orderBy))) {
+    const multiplier = String(direction).toLowerCase() === 'desc' ? -1 : 1;
+    const aEmpty = isEmpty(a[field]);
+    const bEmpty = isEmpty(b[field]);
+
+    if (aEmpty || bEmpty) {
+      if (aEmpty !== bEmpty) return (aEmpty ? 1 : -1) * multiplier;
+      continue;
+    }
+
+    const diff = compareValues(a[field], b[field]);
+    if (diff !== 0) return diff * multiplier;
+  }
+
+  return 0;
 }
 
 /**
- * Sort records by field(s)
+ * Sort records by field(s), see compareRecords
  * @param {Array} records - Array of records
- * @param {Object} orderBy - Sort criteria
+ * @param {Object|string} orderBy - Sort criteria
  * @returns {Array} Sorted records
  */
 function sortRecords(records, orderBy) {
-  const orderEntries = Object.entries(orderBy);
-
-  return [...records].sort((a, b) => {
-    for (const [field, direction] of orderEntries) {
-      const multiplier = direction.toLowerCase() === 'desc' ? -1 : 1;
-
-      // Handle numeric sorting
-      if (!isNaN(parseFloat(a[field])) && !isNaN(parseFloat(b[field]))) {
-        const diff = parseFloat(a[field]) - parseFloat(b[field]);
-        if (diff !== 0) return diff * multiplier;
-      } else {
-        // Handle string sorting
-        const diff = String(a[field] || '').localeCompare(String(b[field] || ''));
-        if (diff !== 0) return diff * multiplier;
-      }
-    }
-
-    return 0;
-  });
+  const criteria = normalizeOrderBy(orderBy);
+  return [...records].sort((a, b) => compareRecords(a, b, criteria));
 }
 
 /**
@@ -172,7 +428,7 @@ function sortRecords(records, orderBy) {
  * @param {Object} options - Query options
  * @returns {Array} Processed records
  */
-function applyQueryOptions(records, options, _schema) {
+function applyQueryOptions(records, options) {
   let results = [...records];
 
   // Apply filtering
@@ -186,14 +442,32 @@ function applyQueryOptions(records, options, _schema) {
   }
 
   // Apply pagination
+  const offset = options.offset || 0;
   if (options.limit !== undefined) {
-    const offset = options.offset || 0;
     results = results.slice(offset, offset + options.limit);
+  } else if (offset) {
+    results = results.slice(offset);
   }
 
   return results;
 }
 
+/**
+ * Convert a 1-based column number to its A1 letter (1 -> A, 27 -> AA)
+ * @param {number} column - Column number
+ * @returns {string} Column letter
+ */
+function columnToLetter(column) {
+  let letter = '';
+  let remaining = column;
+  while (remaining > 0) {
+    const mod = (remaining - 1) % 26;
+    letter = String.fromCharCode(65 + mod) + letter;
+    remaining = Math.floor((remaining - mod - 1) / 26);
+  }
+  return letter;
+}
+
 /**
  * Generate a unique ID
  * @returns {string} Unique ID
@@ -205,8 +479,16 @@ function generateId() {
 module.exports = {
   applyDefaults,
   validateData,
+  validateDataSync,
+  isEmpty,
+  compareValues,
+  matchesCondition,
+  matchesCriteria,
   filterRecords,
+  normalizeOrderBy,
+  compareRecords,
   sortRecords,
   applyQueryOptions,
+  columnToLetter,
   generateId
 };
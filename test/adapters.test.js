@@ -0,0 +1,280 @@
+/**
+ * Tests for the storage adapters
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { GoogleSheetsAdapter, InMemoryAdapter, FileAdapter } = require('../lib/adapters');
+const GoogleSheetsORM = require('../lib/orm');
+const { SchemaError } = require('../lib/errors');
+
+jest.mock('google-spreadsheet', () => {
+  return {
+    GoogleSpreadsheet: jest.fn().mockImplementation(() => {
+      const sheet = {
+        title: 'User',
+        sheetId: 7,
+        headerValues: ['id', 'name'],
+        columnCount: 2,
+        rowCount: 100,
+        getCellsInRange: jest.fn().mockResolvedValue([['1'], [], ['3']]),
+        resize: jest.fn().mockResolvedValue(),
+        setHeaderRow: jest.fn().mockResolvedValue(),
+        loadHeaderRow: jest.fn().mockResolvedValue()
+      };
+      return {
+        sheetsByTitle: { User: sheet },
+        useApiKey: jest.fn(),
+        loadInfo: jest.fn().mockResolvedValue(true),
+        axios: { post: jest.fn().mockResolvedValue({}) },
+        _makeBatchUpdateRequest: jest.fn().mockResolvedValue({})
+      };
+    })
+  };
+});
+
+describe('InMemoryAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new InMemoryAdapter({
+      sheets: {
+        User: [['id', 'name', 'age'], ['1', 'Alice', 30], ['2', 'Bob']]
+      }
+    });
+  });
+
+  it('should seed sheets with a header row and string cells', async () => {
+    const sheet = await adapter.getSheet('User');
+
+    expect(await sheet.getHeaderValues()).toEqual(['id', 'name', 'age']);
+    expect(sheet.values).toEqual([['1', 'Alice', '30'], ['2', 'Bob', '']]);
+    expect(await adapter.getSheet('Missing')).toBeNull();
+  });
+
+  it('should return rows with one property per header', async () => {
+    const sheet = await adapter.getSheet('User');
+    const [row] = await sheet.getRows({ offset: 1, limit: 1 });
+
+    expect(row.rowNumber).toBe(3);
+    expect(row.name).toBe('Bob');
+    expect(await sheet.getColumn(1)).toEqual(['Alice', 'Bob']);
+  });
+
+  it('should store written values as strings', async () => {
+    const sheet = await adapter.addSheet('Event', ['id', 'at', 'tags', 'done']);
+    const [row] = await sheet.addRows([
+      { id: 1, at: new Date('2024-01-02T00:00:00.000Z'), tags: ['a'], done: true, extra: 'x' }
+    ]);
+
+    expect(row.id).toBe('1');
+    expect(sheet.values).toEqual([['1', '2024-01-02T00:00:00.000Z', '["a"]', 'true']]);
+
+    row.done = false;
+    await sheet.saveRows([row]);
+    expect(row.done).toBe('false');
+    expect(sheet.values[0][3]).toBe('false');
+  });
+
+  it('should delete rows in one batch', async () => {
+    const sheet = await adapter.getSheet('User');
+    await sheet.addRows([{ id: '3', name: 'Charlie' }]);
+
+    await sheet.deleteRows(await sheet.getRows({ offset: 0, limit: 2 }));
+    expect(sheet.values).toEqual([['3', 'Charlie', '']]);
+  });
+
+  it('should pad rows when the header grows and remove deleted columns', async () => {
+    const sheet = await adapter.getSheet('User');
+
+    await sheet.setHeaderValues(['id', 'name', 'age', 'email']);
+    expect(sheet.values[1]).toEqual(['2', 'Bob', '', '']);
+
+    await sheet.deleteColumn(1);
+    expect(sheet.headerValues).toEqual(['id', 'age', 'email']);
+    expect(sheet.values[0]).toEqual(['1', '30', '']);
+  });
+
+  it('should refuse to add a sheet twice', async () => {
+    await expect(adapter.addSheet('User', ['id']))
+      .rejects
+      .toThrow("A sheet named 'User' already exists");
+  });
+});
+
+describe('GoogleSheetsAdapter', () => {
+  let adapter;
+  let sheet;
+
+  beforeEach(async () => {
+    adapter = new GoogleSheetsAdapter({ spreadsheetId: 'test-spreadsheet-id', apiKey: 'key' });
+    await adapter.connect();
+    sheet = await adapter.getSheet('User');
+  });
+
+  it('should read a column without fetching whole rows', async () => {
+    expect(await sheet.getColumn(1)).toEqual(['1', undefined, '3']);
+    expect(sheet.native.getCellsInRange).toHaveBeenCalledWith('B2:B');
+  });
+
+  it('should save rows with one values:batchUpdate call', async () => {
+    await sheet.saveRows([
+      { a1Range: 'User!A2', _rawData: ['1', 'Alice'] },
+      { a1Range: 'User!A4', _rawData: ['3', 'Charlie'] }
+    ]);
+
+    expect(adapter.doc.axios.post).toHaveBeenCalledTimes(1);
+    expect(adapter.doc.axios.post.mock.calls[0][1].data.map(item => item.range))
+      .toEqual(['User!A2', 'User!A4']);
+  });
+
+  it('should delete rows bottom-up in one batch request', async () => {
+    await sheet.deleteRows([{ rowNumber: 2 }, { rowNumber: 4 }]);
+
+    const requests = adapter.doc._makeBatchUpdateRequest.mock.calls[0][0];
+    expect(requests.map(request => request.deleteDimension.range.startIndex)).toEqual([3, 1]);
+    expect(requests[0].deleteDimension.range.sheetId).toBe(7);
+  });
+
+  it('should grow the sheet before writing a wider header row', async () => {
+    await sheet.setHeaderValues(['id', 'name', 'email']);
+
+    expect(sheet.native.resize).toHaveBeenCalledWith({ rowCount: 100, columnCount: 3 });
+    expect(sheet.native.setHeaderRow).toHaveBeenCalledWith(['id', 'name', 'email']);
+  });
+
+  it('should delete a column and reload the header row', async () => {
+    await sheet.deleteColumn(1);
+
+    const [request] = adapter.doc._makeBatchUpdateRequest.mock.calls[0][0];
+    expect(request.deleteDimension.range).toEqual({ sheetId: 7, dimension: 'COLUMNS', startIndex: 1, endIndex: 2 });
+    expect(sheet.native.loadHeaderRow).toHaveBeenCalled();
+  });
+
+  it('should retry API calls that hit the rate limit', async () => {
+    adapter = new GoogleSheetsAdapter({
+      spreadsheetId: 'test-spreadsheet-id',
+      apiKey: 'key',
+      retry: { minDelay: 1, jitter: 0 }
+    });
+    await adapter.connect();
+    sheet = await adapter.getSheet('User');
+
+    const quota = Object.assign(new Error('Google API error - [429] Quota exceeded'), {
+      response: { status: 429, headers: {} }
+    });
+    adapter.doc.axios.post.mockRejectedValueOnce(quota);
+
+    await sheet.saveRows([{ a1Range: 'User!A2', _rawData: ['1', 'Alice'] }]);
+    expect(adapter.doc.axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('should retry server errors only for calls that are safe to repeat', async () => {
+    adapter = new GoogleSheetsAdapter({
+      spreadsheetId: 'test-spreadsheet-id',
+      apiKey: 'key',
+      retry: { minDelay: 1, jitter: 0 }
+    });
+    await adapter.connect();
+    sheet = await adapter.getSheet('User');
+    const unavailable = () => Object.assign(new Error('Google API error - [503] Backend error'), {
+      response: { status: 503, headers: {} }
+    });
+
+    adapter.doc.axios.post.mockRejectedValueOnce(unavailable());
+    await sheet.saveRows([{ a1Range: 'User!A2', _rawData: ['1', 'Alice'] }]);
+    expect(adapter.doc.axios.post).toHaveBeenCalledTimes(2);
+
+    // The first delete may have been applied; repeating it would remove other rows
+    adapter.doc._makeBatchUpdateRequest.mockRejectedValueOnce(unavailable());
+    await expect(sheet.deleteRows([{ rowNumber: 2 }])).rejects.toThrow('[503]');
+    expect(adapter.doc._makeBatchUpdateRequest).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('FileAdapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gs-orm-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function defineUser(orm) {
+    return orm.defineModel('User', {
+      schema: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        age: { type: 'number' },
+        active: { type: 'boolean' }
+      },
+      timestamps: false
+    });
+  }
+
+  it('should require a path', () => {
+    expect(() => new FileAdapter()).toThrow(SchemaError);
+  });
+
+  it('should read and write a directory of CSV files', async () => {
+    fs.writeFileSync(path.join(dir, 'User.csv'), 'id,name,age,active\r\n1,"Smith, Ann",30,true\r\n\r\n');
+
+    const orm = new GoogleSheetsORM({ adapter: new FileAdapter({ path: dir }) });
+    const userModel = defineUser(orm);
+
+    expect(await userModel.findById('1')).toEqual({ id: '1', name: 'Smith, Ann', age: 30, active: true });
+
+    await userModel.create({ id: '2', name: 'Bob "B"', age: 25, active: false });
+    await userModel.update('1', { age: 31 });
+
+    expect(fs.readFileSync(path.join(dir, 'User.csv'), 'utf8')).toBe(
+      'id,name,age,active\n1,"Smith, Ann",31,true\n2,"Bob ""B""",25,false\n'
+    );
+  });
+
+  it('should create a CSV file for a new sheet', async () => {
+    const orm = new GoogleSheetsORM({ adapter: new FileAdapter({ path: path.join(dir, 'data') }) });
+    await defineUser(orm).create({ id: '1', name: 'Ann' });
+
+    expect(fs.readFileSync(path.join(dir, 'data', 'User.csv'), 'utf8')).toBe('id,name,age,active\n1,Ann,,\n');
+  });
+
+  it('should map sheets to workbook tabs and keep other tabs', async () => {
+    const file = path.join(dir, 'db.xlsx');
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Notes').addRows([['note'], ['keep me']]);
+    workbook.addWorksheet('User').addRows([['id', 'name', 'age', 'active'], ['1', 'Ann', 30, true]]);
+    await workbook.xlsx.writeFile(file);
+
+    const orm = new GoogleSheetsORM({ adapter: new FileAdapter({ path: file }) });
+    const userModel = defineUser(orm);
+
+    expect(await userModel.findById('1')).toEqual({ id: '1', name: 'Ann', age: 30, active: true });
+    await userModel.create({ id: '2', name: 'Bob', age: 25 });
+    await userModel.delete('1');
+
+    const saved = new ExcelJS.Workbook();
+    await saved.xlsx.readFile(file);
+    expect(saved.getWorksheet('User').getSheetValues().slice(1).map(row => row.slice(1)))
+      .toEqual([['id', 'name', 'age', 'active'], ['2', 'Bob', '25']]);
+    expect(saved.getWorksheet('Notes').getCell('A2').value).toBe('keep me');
+  });
+
+  it('should leave the file untouched and roll back when a write fails', async () => {
+    const orm = new GoogleSheetsORM({ adapter: new FileAdapter({ path: dir }) });
+    const userModel = defineUser(orm);
+    await userModel.create({ id: '1', name: 'Ann' });
+
+    const rename = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+    await expect(userModel.create({ id: '2', name: 'Bob' })).rejects.toThrow('disk full');
+    rename.mockRestore();
+
+    expect(fs.readdirSync(dir)).toEqual(['User.csv']);
+    expect(fs.readFileSync(path.join(dir, 'User.csv'), 'utf8')).toBe('id,name,age,active\n1,Ann,,\n');
+    expect(await userModel.count()).toBe(1);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the error classes and how backend errors are classified
+ */
+const {
+  SheetsORMError,
+  ConnectionError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  QuotaExceededError,
+  SchemaError,
+  UniqueConstraintError,
+  ValidationError
+} = require('../lib');
+const { wrapError } = require('../lib/errors');
+
+function apiError(status, message = 'Request failed') {
+  const error = new Error(message);
+  error.response = { status };
+  return error;
+}
+
+describe('errors', () => {
+  it('should share a base class and name themselves', () => {
+    [ConnectionError, AuthError, NotFoundError, ConflictError, QuotaExceededError, SchemaError].forEach(ErrorClass => {
+      const error = new ErrorClass('boom');
+      expect(error).toBeInstanceOf(SheetsORMError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe(ErrorClass.name);
+    });
+
+    expect(new ValidationError([])).toBeInstanceOf(SheetsORMError);
+  });
+
+  it('should make unique violations conflicts', () => {
+    const error = new UniqueConstraintError({ model: 'User', field: 'email', value: 'a@b.c', conflict: {} });
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.name).toBe('UniqueConstraintError');
+  });
+
+  describe('wrapError()', () => {
+    it('should classify API errors by status and keep the cause', () => {
+      const cause = apiError(403, 'The caller does not have permission');
+      const error = wrapError(cause, 'Error finding records in User');
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.message).toBe('Error finding records in User: The caller does not have permission');
+      expect(error.cause).toBe(cause);
+      expect(error.status).toBe(403);
+
+      expect(wrapError(apiError(401), 'x')).toBeInstanceOf(AuthError);
+      expect(wrapError(apiError(404), 'x')).toBeInstanceOf(NotFoundError);
+      expect(wrapError(apiError(409), 'x')).toBeInstanceOf(ConflictError);
+      expect(wrapError(apiError(429), 'x')).toBeInstanceOf(QuotaExceededError);
+      expect(wrapError(apiError(403, "Quota exceeded for quota metric 'Write requests'"), 'x'))
+        .toBeInstanceOf(QuotaExceededError);
+    });
+
+    it('should classify network failures as connection errors', () => {
+      const cause = new Error('getaddrinfo ENOTFOUND sheets.googleapis.com');
+      cause.code = 'ENOTFOUND';
+
+      expect(wrapError(cause, 'x')).toBeInstanceOf(ConnectionError);
+    });
+
+    it('should use the fallback class for anything else', () => {
+      expect(wrapError(new Error('odd'), 'x').constructor).toBe(SheetsORMError);
+      expect(wrapError(new Error('odd'), 'x', ConnectionError)).toBeInstanceOf(ConnectionError);
+    });
+
+    it('should return ORM errors unchanged', () => {
+      const error = new SchemaError('Sheet User does not match the User schema');
+      expect(wrapError(error, 'Failed to initialize model User')).toBe(error);
+    });
+  });
+});
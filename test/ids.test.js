@@ -0,0 +1,42 @@
+/**
+ * Tests for the primary key generators
+ */
+const { uuid, nanoid } = require('../lib/ids');
+
+describe('id generators', () => {
+  it('should make version 4 UUIDs', () => {
+    expect(uuid()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(uuid()).not.toBe(uuid());
+  });
+
+  it('should make URL-safe nanoids of the requested size', () => {
+    expect(nanoid()).toMatch(/^[A-Za-z0-9_-]{21}$/);
+    expect(nanoid(8)).toHaveLength(8);
+  });
+
+  describe('ulid()', () => {
+    let ulid;
+
+    // ulid() remembers the last timestamp it saw, so each test starts afresh
+    beforeEach(() => {
+      jest.isolateModules(() => {
+        ({ ulid } = require('../lib/ids'));
+      });
+    });
+
+    it('should encode the timestamp in the first 10 characters', () => {
+      expect(ulid(1469918176385).slice(0, 10)).toBe('01ARYZ6S41');
+    });
+
+    it('should sort by time', () => {
+      expect(ulid(1000) < ulid(2000)).toBe(true);
+    });
+
+    it('should increase monotonically within one millisecond', () => {
+      const ids = Array.from({ length: 1000 }, () => ulid(5000));
+
+      expect(new Set(ids).size).toBe(1000);
+      expect([...ids].sort()).toEqual(ids);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for cooperative locks backed by the _locks sheet
+ */
+const { GoogleSheetsORM, InMemoryAdapter, ConflictError, LockTimeoutError } = require('../lib');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('locks', () => {
+  let adapter;
+  let first;
+  let second;
+
+  // Two connections to the same spreadsheet stand in for two processes
+  beforeEach(() => {
+    adapter = new InMemoryAdapter();
+    first = new GoogleSheetsORM({ adapter, locks: { owner: 'cron', retryDelay: 5 } });
+    second = new GoogleSheetsORM({ adapter, locks: { owner: 'web', retryDelay: 5 } });
+  });
+
+  it('should serialize read-modify-write sequences across connections', async () => {
+    const workers = [first, second].map(orm => ({
+      orm,
+      Counter: orm.defineModel('Counter', {
+        schema: { id: { type: 'string' }, value: { type: 'number' } },
+        timestamps: false
+      })
+    }));
+    await workers[0].Counter.create({ id: 'hits', value: 0 });
+
+    const increment = ({ orm, Counter }) => orm.withLock('Counter', async () => {
+      const { value } = await Counter.findById('hits');
+      await sleep(2);
+      await Counter.update('hits', { value: value + 1 });
+    });
+
+    await Promise.all([0, 1, 2].flatMap(() => workers.map(increment)));
+    expect((await workers[1].Counter.findById('hits')).value).toBe(6);
+  });
+
+  it('should return the result and release the lock, even when fn throws', async () => {
+    await expect(first.withLock('User', async (lock) => lock.owner)).resolves.toBe('cron');
+    await expect(first.withLock('User', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+    // Each claim is followed by a row releasing its token
+    const rows = adapter.sheets._locks.values;
+    expect(rows.map(row => row[5] !== '')).toEqual([false, true, false, true]);
+    expect([rows[1][2], rows[3][2]]).toEqual([rows[0][2], rows[2][2]]);
+  });
+
+  it('should make a second owner wait until the lock is released', async () => {
+    const order = [];
+    const lock = await first.locks.acquire('User');
+
+    const waiting = second.withLock('User', async () => { order.push('web'); });
+    await sleep(30);
+    order.push('cron done');
+    await first.locks.release(lock);
+    await waiting;
+
+    expect(order).toEqual(['cron done', 'web']);
+  });
+
+  it('should give up after the timeout and name the holder', async () => {
+    await first.locks.acquire('User');
+
+    const error = await second.locks.acquire('User', { timeout: 20 }).catch(e => e);
+    expect(error).toBeInstanceOf(LockTimeoutError);
+    expect(error.message).toBe("Timed out after 20ms waiting for lock 'User' (held by cron)");
+    expect(error.holder).toBe('cron');
+  });
+
+  it('should take over an expired lease', async () => {
+    await first.locks.acquire('User', { ttl: 10 });
+    await sleep(20);
+
+    await expect(second.locks.acquire('User', { timeout: 0 })).resolves.toMatchObject({ owner: 'web' });
+  });
+
+  it('should let only the earliest of two simultaneous claims win', async () => {
+    const [a, b] = await Promise.all([
+      first.locks.acquire('User', { timeout: 0 }).catch(e => e),
+      second.locks.acquire('User', { timeout: 0 }).catch(e => e)
+    ]);
+
+    expect(a).toMatchObject({ owner: 'cron' });
+    expect(b).toBeInstanceOf(LockTimeoutError);
+  });
+
+  it('should keep renewing the lease while fn runs', async () => {
+    let attempt;
+    await first.withLock('User', async (lock) => {
+      const acquiredUntil = lock.expiresAt;
+      await sleep(120);
+      expect(lock.expiresAt > acquiredUntil).toBe(true);
+      attempt = await second.locks.acquire('User', { timeout: 0 }).catch(e => e);
+    }, { ttl: 100 });
+
+    expect(attempt).toBeInstanceOf(LockTimeoutError);
+  });
+
+  it('should report a lease lost while fn runs', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    let lostWhileRunning;
+
+    const result = first.withLock('User', async (lock) => {
+      // Someone else releases the claim behind this owner's back
+      const sheet = adapter.sheets._locks;
+      const [claim] = await sheet.getRows();
+      claim.releasedAt = new Date().toISOString();
+      await sheet.saveRows([claim]);
+
+      await sleep(40);
+      lostWhileRunning = lock.lost;
+      return 'done';
+    }, { ttl: 40 });
+
+    await expect(result).rejects.toThrow("Lock 'User' was lost while it was held");
+    await expect(result).rejects.toBeInstanceOf(ConflictError);
+    expect(lostWhileRunning).toBeInstanceOf(ConflictError);
+    warn.mockRestore();
+  });
+
+  it('should keep its claims in a hidden sheet', async () => {
+    await first.withLock('User', async () => {});
+    expect(adapter.sheets._locks.hidden).toBe(true);
+  });
+
+  it('should release every claim carrying the token', async () => {
+    const lock = await first.locks.acquire('User');
+    // A retried append can leave a second copy of the claim
+    const [claim] = await adapter.sheets._locks.getRows();
+    await adapter.sheets._locks.addRows([{ ...claim }]);
+
+    await first.locks.release(lock);
+    await expect(second.locks.acquire('User', { timeout: 0 })).resolves.toMatchObject({ owner: 'web' });
+  });
+
+  it('should prune dead rows on release, even while another lock is held', async () => {
+    const orm = new GoogleSheetsORM({ adapter, locks: { owner: 'cron', retryDelay: 5, pruneAfter: 4 } });
+    const held = await second.locks.acquire('B');
+
+    for (let i = 0; i < 3; i++) {
+      await orm.withLock('A', async () => {});
+    }
+
+    // B's claim stays, in front; only the prune lock's own rows are left besides it
+    const names = adapter.sheets._locks.values.map(row => row[0]);
+    expect(names).toEqual(['B', '_prune', '_prune']);
+    await expect(orm.locks.acquire('B', { timeout: 0 })).rejects.toBeInstanceOf(LockTimeoutError);
+    await second.locks.release(held);
+  });
+
+  it('should drop renewals a later renewal superseded', async () => {
+    const lock = await first.locks.acquire('A');
+    await first.locks.renew(lock);
+    await first.locks.renew(lock);
+
+    expect(await first.locks.prune()).toBe(1);
+    await expect(second.locks.acquire('A', { timeout: 0 })).rejects.toBeInstanceOf(LockTimeoutError);
+  });
+
+  it('should prune released and expired claims', async () => {
+    await first.withLock('A', async () => {});
+    await first.locks.acquire('B');
+
+    expect(await first.locks.prune()).toBe(2);
+    expect(adapter.sheets._locks.values.map(row => row[0])).toEqual(['B', '_prune', '_prune']);
+  });
+});
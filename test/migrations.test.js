@@ -0,0 +1,136 @@
+/**
+ * Tests for schema migrations
+ */
+const GoogleSheetsORM = require('../lib/orm');
+const { InMemoryAdapter } = require('../lib/adapters');
+
+describe('Migrations', () => {
+  let adapter;
+  let orm;
+
+  beforeEach(() => {
+    // The sheets below start out of step with the schemas on purpose
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    adapter = new InMemoryAdapter({
+      sheets: {
+        User: [['id', 'name', 'legacy'], ['1', 'Alice', 'x'], ['2', 'Bob', '']]
+      }
+    });
+    orm = new GoogleSheetsORM({ adapter });
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('Model#sync()', () => {
+    let userModel;
+
+    beforeEach(() => {
+      userModel = orm.defineModel('User', {
+        schema: {
+          id: { type: 'string' },
+          fullName: { type: 'string', renamedFrom: 'name' },
+          plan: { type: 'string', defaultValue: 'free' },
+          age: { type: 'number' }
+        },
+        timestamps: false
+      });
+    });
+
+    it('should diff the schema against the live header row', async () => {
+      expect(await userModel.diffSchema()).toEqual({
+        add: ['plan', 'age'],
+        rename: [{ from: 'name', to: 'fullName' }],
+        drop: ['legacy']
+      });
+    });
+
+    it('should rename and add columns, backfilling defaults, but keep extra columns', async () => {
+      const changes = await userModel.sync();
+
+      expect(changes.drop).toEqual([]);
+      expect(adapter.sheets.User.headerValues).toEqual(['id', 'fullName', 'legacy', 'plan', 'age']);
+      expect(await userModel.findById('1')).toEqual(
+        { id: '1', fullName: 'Alice', legacy: 'x', plan: 'free', age: null }
+      );
+
+      await userModel.update('2', { age: 30 });
+      expect(adapter.sheets.User.values[1]).toEqual(['2', 'Bob', '', 'free', '30']);
+      expect(await userModel.diffSchema()).toEqual({ add: [], rename: [], drop: ['legacy'] });
+    });
+
+    it('should drop extra columns only when asked', async () => {
+      await orm.sync({ drop: true });
+
+      expect(adapter.sheets.User.headerValues).toEqual(['id', 'fullName', 'plan', 'age']);
+      expect(adapter.sheets.User.values[0]).toEqual(['1', 'Alice', 'free', '']);
+    });
+  });
+
+  describe('migrate() and rollback()', () => {
+    const migrations = [
+      {
+        name: '001-add-email',
+        up: (m) => m.addColumn('User', 'email', { backfill: (row) => `${row.name.toLowerCase()}@example.com` }),
+        down: (m) => m.dropColumn('User', 'email')
+      },
+      {
+        name: '002-rename-legacy',
+        up: (m) => m.renameColumn('User', 'legacy', 'notes'),
+        down: (m) => m.renameColumn('User', 'notes', 'legacy')
+      }
+    ];
+
+    it('should run pending migrations once and record them', async () => {
+      expect(await orm.migrate(migrations)).toEqual(['001-add-email', '002-rename-legacy']);
+      expect(await orm.migrate(migrations)).toEqual([]);
+
+      expect(adapter.sheets.User.headerValues).toEqual(['id', 'name', 'notes', 'email']);
+      expect(adapter.sheets.User.values[1]).toEqual(['2', 'Bob', '', 'bob@example.com']);
+      expect(adapter.sheets._migrations.values.map(([name]) => name))
+        .toEqual(['001-add-email', '002-rename-legacy']);
+    });
+
+    it('should roll back the latest migrations with down()', async () => {
+      await orm.migrate(migrations);
+
+      expect(await orm.rollback(migrations)).toEqual(['002-rename-legacy']);
+      expect(await orm.rollback(migrations, { steps: 5 })).toEqual(['001-add-email']);
+
+      expect(adapter.sheets.User.headerValues).toEqual(['id', 'name', 'legacy']);
+      expect(await orm.migrator().applied()).toEqual([]);
+    });
+
+    it('should refresh models defined on a migrated sheet', async () => {
+      const userModel = orm.defineModel('User', {
+        schema: { id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } },
+        timestamps: false
+      });
+      await userModel.init();
+
+      await orm.migrate(migrations.slice(0, 1));
+      expect((await userModel.findById('1')).email).toBe('alice@example.com');
+    });
+
+    it('should stop at a failing migration without recording it', async () => {
+      const failing = [
+        migrations[0],
+        { name: '002-bad', up: (m) => m.dropColumn('User', 'missing') }
+      ];
+
+      await expect(orm.migrate(failing))
+        .rejects
+        .toThrow("Migration '002-bad' failed: Column 'missing' not found in User");
+      expect(await orm.migrator().applied()).toEqual(['001-add-email']);
+      await expect(orm.rollback(failing, { steps: 2 })).resolves.toEqual(['001-add-email']);
+    });
+
+    it('should reject migrations without a down() on rollback', async () => {
+      await orm.migrate([{ name: 'one-way', up: () => {} }]);
+      await expect(orm.rollback([{ name: 'one-way', up: () => {} }]))
+        .rejects
+        .toThrow("Migration 'one-way' cannot be undone: no down() script");
+    });
+  });
+});
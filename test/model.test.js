@@ -0,0 +1,1265 @@
+/**
+ * Tests for the Model class
+ */
+const Model = require('../lib/model');
+const GoogleSheetsORM = require('../lib/orm');
+const { InMemoryAdapter } = require('../lib/adapters');
+const { hasMany, hasOne, belongsTo, belongsToMany } = require('../lib/relations');
+const {
+  ConflictError,
+  SchemaError,
+  SheetsORMError,
+  UniqueConstraintError,
+  ValidationError,
+  VersionConflictError
+} = require('../lib/errors');
+
+// Spy on a worksheet's storage calls, with counts starting from zero
+function watchSheet(connection, title) {
+  const sheet = connection.adapter.sheets[title];
+  ['getRows', 'addRows', 'getColumn', 'saveRows', 'deleteRows'].forEach(method => {
+    if (!jest.isMockFunction(sheet[method])) jest.spyOn(sheet, method);
+    sheet[method].mockClear();
+  });
+  return sheet;
+}
+
+describe('Model', () => {
+  let connection;
+  let model;
+
+  beforeEach(async () => {
+    connection = new GoogleSheetsORM({ adapter: new InMemoryAdapter() });
+    model = new Model(connection, {
+      sheetName: 'User',
+      schema: {
+        id: { type: 'string' },
+        name: { type: 'string', required: true },
+        age: { type: 'number', defaultValue: 0 },
+        status: { type: 'string', defaultValue: 'active' }
+      }
+    });
+    await model.init();
+  });
+
+  describe('create()', () => {
+    it('should return the created record without re-reading the sheet', async () => {
+      const sheet = watchSheet(connection, 'User');
+
+      const user = await model.create({ name: 'Alice', age: 30 });
+
+      expect(user.name).toBe('Alice');
+      expect(user.age).toBe(30);
+      expect(user.id).toBeDefined();
+      expect(sheet.getRows).not.toHaveBeenCalled();
+    });
+
+    it('should wrap storage failures in a typed error that keeps the cause', async () => {
+      const cause = new Error('Quota exceeded for quota metric Write requests');
+      cause.response = { status: 429 };
+      watchSheet(connection, 'User').addRows.mockRejectedValueOnce(cause);
+
+      const error = await model.create({ name: 'Alice' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(SheetsORMError);
+      expect(error.name).toBe('QuotaExceededError');
+      expect(error.message).toBe('Error creating record in User: Quota exceeded for quota metric Write requests');
+      expect(error.cause).toBe(cause);
+      expect(error.status).toBe(429);
+    });
+
+    it('should reject invalid data with a ValidationError', async () => {
+      await expect(model.create({ age: 30 })).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('find()', () => {
+    beforeEach(async () => {
+      await model.createMany([
+        { name: 'Alice', age: 30, status: 'active' },
+        { name: 'Bob', age: 17, status: 'active' },
+        { name: 'Charlie', age: 40, status: 'inactive' },
+        { name: 'Jane', age: 25, status: 'active' }
+      ]);
+    });
+
+    it('should filter, sort and paginate with the where syntax', async () => {
+      const users = await model.find({
+        where: { age: { $gt: 18 }, status: 'active' },
+        orderBy: { age: 'desc' },
+        limit: 1,
+        offset: 1
+      });
+
+      expect(users.map(u => u.name)).toEqual(['Jane']);
+    });
+
+    it('should treat a plain object as where criteria', async () => {
+      const users = await model.find({ status: 'inactive' });
+      expect(users.map(u => u.name)).toEqual(['Charlie']);
+    });
+
+    it('should keep criteria mixed in with query options', async () => {
+      const users = await model.find({ age: { $gt: 18 }, limit: 5 });
+      expect(users.map(u => u.name)).toEqual(['Alice', 'Charlie', 'Jane']);
+
+      expect(await model.findOne({ name: 'Jane', include: undefined })).toMatchObject({ name: 'Jane' });
+      expect((await model.find({ where: { status: 'active' }, age: { $lt: 20 } })).map(u => u.name)).toEqual(['Bob']);
+    });
+
+    it('should select fields', async () => {
+      const users = await model.find({ where: { name: { $like: 'J%' } }, select: ['name'] });
+      expect(users).toEqual([{ name: 'Jane' }]);
+    });
+
+    it('should accept $or, $and and $not in findAll, count and exists', async () => {
+      const search = { $or: [{ status: 'inactive' }, { $not: { age: { $gte: 18 } } }] };
+
+      const { data } = await model.findAll({ search });
+      expect(data.map(u => u.name)).toEqual(['Bob', 'Charlie']);
+      expect(await model.count(search)).toBe(2);
+      expect(await model.exists({ $and: [{ status: 'inactive' }, { age: { $lt: 18 } }] })).toBe(false);
+    });
+
+    it('should share the operator syntax with findAll and count', async () => {
+      const { data } = await model.findAll({ search: { age: { $gte: 30 } }, orderBy: 'age:desc' });
+      expect(data.map(u => u.name)).toEqual(['Charlie', 'Alice']);
+      expect(await model.count({ age: { lt: 30 } })).toBe(2);
+    });
+
+    it('should reject unknown operators with a ValidationError', async () => {
+      await expect(model.findAll({ search: { age: { $between: [1, 2] } } })).rejects.toBeInstanceOf(ValidationError);
+      await expect(model.count({ $or: { status: 'active' } })).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('findOne() should return the first match or null', async () => {
+      const user = await model.findOne({ where: { status: 'active' }, orderBy: { age: 'asc' } });
+      expect(user.name).toBe('Bob');
+      expect(await model.findOne({ name: 'Nobody' })).toBeNull();
+    });
+  });
+
+  describe('findAll()', () => {
+    beforeEach(async () => {
+      await model.createMany([
+        { name: 'Alice', age: 30, status: 'active' },
+        { name: 'Bob', age: 17, status: 'inactive' },
+        { name: 'Charlie', age: 40, status: 'active' },
+        { name: 'Diana', age: 35, status: 'inactive' },
+        { name: 'Eve', age: 22, status: 'active' },
+        { name: 'Frank', age: 28, status: 'active' }
+      ]);
+    });
+
+    it('should filter before paginating', async () => {
+      const { data, pagination } = await model.findAll({
+        search: { status: 'active' },
+        page: 2,
+        limit: 2
+      });
+
+      expect(data.map(u => u.name)).toEqual(['Eve', 'Frank']);
+      expect(pagination).toMatchObject({
+        total: 4,
+        page: 2,
+        limit: 2,
+        totalPages: 2,
+        hasMore: false,
+        nextCursor: null
+      });
+    });
+
+    it('should sort the whole result set before paginating', async () => {
+      const { data } = await model.findAll({ orderBy: 'age:desc', page: 1, limit: 2 });
+      expect(data.map(u => u.name)).toEqual(['Charlie', 'Diana']);
+    });
+
+    it('should walk pages with nextCursor', async () => {
+      const names = [];
+      let cursor;
+
+      do {
+        const { data, pagination } = await model.findAll({ orderBy: 'name', limit: 4, cursor });
+        names.push(...data.map(u => u.name));
+        cursor = pagination.nextCursor;
+      } while (cursor);
+
+      expect(names).toEqual(['Alice', 'Bob', 'Charlie', 'Diana', 'Eve', 'Frank']);
+    });
+
+    it('should not skip or repeat records when rows change between pages', async () => {
+      const first = await model.findAll({ orderBy: 'age', limit: 2 });
+      expect(first.data.map(u => u.name)).toEqual(['Bob', 'Eve']);
+
+      await model.delete(first.data[0].id);
+      await model.create({ name: 'Gina', age: 18, status: 'active' });
+
+      const second = await model.findAll({ orderBy: 'age', limit: 2, cursor: first.pagination.nextCursor });
+      expect(second.data.map(u => u.name)).toEqual(['Frank', 'Alice']);
+    });
+
+    it('should resume after the last record in sheet order', async () => {
+      const first = await model.findAll({ search: { status: 'active' }, limit: 2 });
+      await model.delete(first.data[0].id);
+
+      const second = await model.findAll({ search: { status: 'active' }, limit: 2, cursor: first.pagination.nextCursor });
+      expect(second.data.map(u => u.name)).toEqual(['Eve', 'Frank']);
+
+      await model.delete(first.data[1].id);
+      await expect(model.findAll({ search: { status: 'active' }, limit: 2, cursor: first.pagination.nextCursor }))
+        .rejects.toThrow('no longer exists');
+    });
+
+    it('should reject a cursor from a different query', async () => {
+      const { pagination } = await model.findAll({ orderBy: 'age', limit: 2 });
+
+      await expect(model.findAll({ orderBy: 'name', cursor: pagination.nextCursor }))
+        .rejects.toThrow('Pagination cursor belongs to a different query');
+      await expect(model.findAll({ orderBy: 'age', search: { status: 'active' }, cursor: pagination.nextCursor }))
+        .rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should reject a malformed cursor', async () => {
+      await expect(model.findAll({ cursor: 'nope' })).rejects.toThrow('Invalid pagination cursor');
+      await expect(model.findAll({ cursor: 'nope' })).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should reject a limit or page that is not a positive integer', async () => {
+      for (const limit of [0, -1, 2.5, 'ten', '', null]) {
+        const error = await model.findAll({ limit }).catch(e => e);
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.errors).toEqual([expect.objectContaining({ field: 'limit', rule: 'integer', value: limit })]);
+      }
+      await expect(model.findAll({ page: 0 })).rejects.toThrow("Pagination option 'page' must be a positive integer");
+    });
+
+    it('should accept numeric strings for limit and page', async () => {
+      const { pagination } = await model.findAll({ limit: '2', page: '2' });
+      expect(pagination).toMatchObject({ page: 2, limit: 2 });
+    });
+  });
+
+  describe('query()', () => {
+    beforeEach(async () => {
+      await model.createMany([
+        { name: 'Alice', age: 30, status: 'active' },
+        { name: 'Bob', age: 17, status: 'active' },
+        { name: 'Charlie', age: 40, status: 'inactive' },
+        { name: 'Jane', age: 25, status: 'admin' },
+        { name: 'Zed', age: 30, status: 'active' }
+      ]);
+    });
+
+    it('should chain where, orWhere and orderBy', async () => {
+      const users = await model.query()
+        .where('age', '>', 18)
+        .where('status', 'active')
+        .orWhere('status', 'admin')
+        .orderBy('age', 'desc')
+        .orderBy('name')
+        .get();
+
+      expect(users.map(u => u.name)).toEqual(['Alice', 'Zed', 'Jane']);
+    });
+
+    it('should keep every condition on the same field', async () => {
+      expect(await model.query().where('age', 30).where('age', 40).get()).toEqual([]);
+      expect(await model.query().where('age', '>', 20).where('age', '<', 35).where('age', '>', 26).pluck('name'))
+        .toEqual(['Alice', 'Zed']);
+      expect(await model.query().where({ age: { $ne: 30 } }).where('age', '!=', 17).pluck('name'))
+        .toEqual(['Charlie', 'Jane']);
+    });
+
+    it('should support nested groups', async () => {
+      const users = await model.query()
+        .where('age', '>=', 25)
+        .where(q => q.where('status', 'admin').orWhere('name', 'like', 'z%'))
+        .pluck('name');
+
+      expect(users).toEqual(['Jane', 'Zed']);
+    });
+
+    it('should select fields and paginate', async () => {
+      const users = await model.query()
+        .orderBy('name')
+        .select(['name'])
+        .page(2, 2)
+        .get();
+
+      expect(users).toEqual([{ name: 'Charlie' }, { name: 'Jane' }]);
+    });
+
+    it('should support first, count, exists and pluck', async () => {
+      const active = model.query().where({ status: 'active' });
+
+      expect((await active.clone().orderBy('age').first()).name).toBe('Bob');
+      expect(await active.count()).toBe(3);
+      expect(await active.clone().where('age', '>', 50).exists()).toBe(false);
+      expect(await active.pluck('name')).toEqual(['Alice', 'Bob', 'Zed']);
+    });
+
+    it('should not mutate the original when cloned', async () => {
+      const base = model.query().where('status', 'active');
+      await base.clone().where('age', '<', 20).get();
+
+      expect(await base.count()).toBe(3);
+    });
+  });
+
+  describe('createMany()', () => {
+    it('should append all records in a single call', async () => {
+      const sheet = watchSheet(connection, 'User');
+      const result = await model.createMany([
+        { name: 'Alice', age: 30 },
+        { name: 'Bob', age: 25 },
+        { name: 'Charlie' }
+      ]);
+
+      expect(result.count).toBe(3);
+      expect(result.data.map(u => u.name)).toEqual(['Alice', 'Bob', 'Charlie']);
+      expect(result.data[2].age).toBe(0);
+      expect(new Set(result.data.map(u => u.id)).size).toBe(3);
+      expect(sheet.addRows).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate every record before writing anything', async () => {
+      const sheet = watchSheet(connection, 'User');
+
+      await expect(model.createMany([
+        { name: 'Alice' },
+        { age: 25 }
+      ])).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: "Record 1: Validation failed: Field 'name' is required",
+        errors: [expect.objectContaining({ index: 1, field: 'name', rule: 'required' })]
+      });
+
+      expect(sheet.addRows).not.toHaveBeenCalled();
+      expect(sheet.values.length).toBe(0);
+    });
+  });
+
+  describe('updateMany()', () => {
+    it('should update matching records with one batch write', async () => {
+      await model.createMany([
+        { name: 'Alice', status: 'active' },
+        { name: 'Bob', status: 'inactive' },
+        { name: 'Charlie', status: 'inactive' }
+      ]);
+      const sheet = watchSheet(connection, 'User');
+
+      const result = await model.updateMany({ status: 'inactive' }, { status: 'archived' });
+
+      expect(result.count).toBe(2);
+      expect(result.data.map(u => u.name)).toEqual(['Bob', 'Charlie']);
+      expect(sheet.saveRows).toHaveBeenCalledTimes(1);
+
+      const { data } = await model.findAll();
+      expect(data.map(u => u.status)).toEqual(['active', 'archived', 'archived']);
+    });
+
+    it('should validate the patch', async () => {
+      await expect(model.updateMany({}, { age: 'old' }))
+        .rejects
+        .toThrow("Field 'age' should be of type number");
+    });
+  });
+
+  describe('deleteMany()', () => {
+    it('should delete matching records with one batch request', async () => {
+      await model.createMany([
+        { name: 'Alice', status: 'inactive' },
+        { name: 'Bob', status: 'active' },
+        { name: 'Charlie', status: 'inactive' }
+      ]);
+      const sheet = watchSheet(connection, 'User');
+
+      const result = await model.deleteMany({ status: 'inactive' });
+
+      expect(result.count).toBe(2);
+      expect(result.data.map(u => u.name)).toEqual(['Alice', 'Charlie']);
+      expect(sheet.deleteRows).toHaveBeenCalledTimes(1);
+
+      const { data } = await model.findAll();
+      expect(data.map(u => u.name)).toEqual(['Bob']);
+    });
+  });
+
+  describe('relations', () => {
+    let Author;
+    let Book;
+    let Tag;
+    let BookTag;
+
+    beforeEach(async () => {
+      Author = connection.defineModel('Author', {
+        schema: { id: { type: 'string' }, name: { type: 'string' } },
+        relations: {
+          books: hasMany('Book', 'authorId'),
+          latestBook: hasOne('Book', { foreignKey: 'authorId' })
+        }
+      });
+      Book = connection.defineModel('Book', {
+        schema: { id: { type: 'string' }, title: { type: 'string' }, authorId: { type: 'string' } },
+        relations: {
+          author: belongsTo('Author'),
+          tags: belongsToMany('Tag', { through: 'BookTag' })
+        }
+      });
+      Tag = connection.defineModel('Tag', {
+        schema: { id: { type: 'string' }, name: { type: 'string' } }
+      });
+      BookTag = connection.defineModel('BookTag', {
+        schema: { id: { type: 'string' }, bookId: { type: 'string' }, tagId: { type: 'string' } }
+      });
+
+      await Promise.all([Author.init(), Book.init(), Tag.init(), BookTag.init()]);
+
+      await Author.createMany([{ id: 'a1', name: 'Orwell' }, { id: 'a2', name: 'Rowling' }]);
+      await Book.createMany([
+        { id: 'b1', title: '1984', authorId: 'a1' },
+        { id: 'b2', title: 'Animal Farm', authorId: 'a1' },
+        { id: 'b3', title: 'Philosopher\'s Stone', authorId: 'a2' }
+      ]);
+      await Tag.createMany([{ id: 't1', name: 'Classic' }, { id: 't2', name: 'Fiction' }]);
+      await BookTag.createMany([
+        { bookId: 'b1', tagId: 't1' },
+        { bookId: 'b1', tagId: 't2' },
+        { bookId: 'b3', tagId: 't2' }
+      ]);
+    });
+
+    it('should eager-load hasMany and hasOne with one read per related sheet', async () => {
+      const bookSheet = watchSheet(connection, 'Book');
+
+      const { data } = await Author.findAll({ include: ['books', 'latestBook'] });
+
+      expect(data[0].books.map(b => b.title)).toEqual(['1984', 'Animal Farm']);
+      expect(data[1].books.map(b => b.title)).toEqual(['Philosopher\'s Stone']);
+      expect(data[1].latestBook.id).toBe('b3');
+      expect(bookSheet.getRows).toHaveBeenCalledTimes(2);
+    });
+
+    it('should eager-load belongsTo and belongsToMany', async () => {
+      const { data } = await Book.findAll({ include: ['author', 'tags'] });
+
+      expect(data.map(b => b.author.name)).toEqual(['Orwell', 'Orwell', 'Rowling']);
+      expect(data.map(b => b.tags.map(t => t.name))).toEqual([['Classic', 'Fiction'], [], ['Fiction']]);
+    });
+
+    it('should support nested includes and findById', async () => {
+      const author = await Author.findById('a1', { include: { books: ['tags'] } });
+
+      expect(author.books[0].tags.map(t => t.name)).toEqual(['Classic', 'Fiction']);
+    });
+
+    it('should keep included relations when selecting fields', async () => {
+      const books = await Book.find({ where: { id: 'b2' }, select: ['title'], include: 'author' });
+
+      expect(books).toEqual([{ title: 'Animal Farm', author: expect.objectContaining({ name: 'Orwell' }) }]);
+    });
+
+    it('should reject unknown relations', async () => {
+      await expect(Author.findAll({ include: 'publisher' }))
+        .rejects
+        .toThrow("Unknown relation 'publisher' on model Author");
+    });
+  });
+
+  describe('references', () => {
+    function defineLibrary(onDelete, authorOptions = {}) {
+      const Author = connection.defineModel('Author', {
+        schema: { id: { type: 'string' }, name: { type: 'string' } },
+        ...authorOptions
+      });
+      const Book = connection.defineModel('Book', {
+        schema: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          authorId: { type: 'string', references: { model: 'Author', onDelete } }
+        }
+      });
+      return Promise.all([Author.init(), Book.init()]);
+    }
+
+    it('should reject creates and updates pointing at missing records', async () => {
+      const [Author, Book] = await defineLibrary('restrict');
+      await Author.create({ id: 'a1', name: 'Orwell' });
+
+      await expect(Book.create({ title: '1984', authorId: 'a1' })).resolves.toBeDefined();
+      await expect(Book.createMany([{ title: 'Ghost', authorId: 'a9' }]))
+        .rejects
+        .toThrow("Field 'authorId' references missing Author record(s): a9");
+      await expect(Book.create({ title: 'Ghost', authorId: 'a9' }))
+        .rejects
+        .toMatchObject({ errors: [{ field: 'authorId', rule: 'references', value: ['a9'] }] });
+
+      const book = await Book.findOne({ title: '1984' });
+      await expect(Book.update(book.id, { authorId: 'nope' }))
+        .rejects
+        .toThrow('references missing Author');
+    });
+
+    it('should restrict deletes of referenced records by default', async () => {
+      const [Author, Book] = await defineLibrary(undefined);
+      await Author.create({ id: 'a1', name: 'Orwell' });
+      await Book.create({ title: '1984', authorId: 'a1' });
+
+      await expect(Author.delete('a1'))
+        .rejects
+        .toThrow("Cannot delete from Author: 1 Book record(s) reference it through 'authorId'");
+      await expect(Author.delete('a1')).rejects.toBeInstanceOf(ConflictError);
+      expect(await Author.count()).toBe(1);
+    });
+
+    it('should cascade deletes', async () => {
+      const [Author, Book] = await defineLibrary('cascade');
+      await Author.createMany([{ id: 'a1', name: 'Orwell' }, { id: 'a2', name: 'Rowling' }]);
+      await Book.createMany([
+        { title: '1984', authorId: 'a1' },
+        { title: 'Animal Farm', authorId: 'a1' },
+        { title: 'Philosopher\'s Stone', authorId: 'a2' }
+      ]);
+
+      await Author.delete('a1');
+
+      expect((await Book.find()).map(b => b.title)).toEqual(['Philosopher\'s Stone']);
+    });
+
+    it('should apply rules only when a soft-deleted record is removed for good', async () => {
+      const [Author, Book] = await defineLibrary('cascade', { paranoid: true });
+      await Author.create({ id: 'a1', name: 'Orwell' });
+      await Book.create({ title: '1984', authorId: 'a1' });
+
+      await Author.delete('a1');
+      expect(await Book.count()).toBe(1);
+      await Author.restore('a1');
+      expect(await Book.count()).toBe(1);
+
+      await Author.delete('a1', { force: true });
+      expect(await Book.count()).toBe(0);
+    });
+
+    it('should null out foreign keys with setNull', async () => {
+      const [Author, Book] = await defineLibrary('setNull');
+      await Author.create({ id: 'a1', name: 'Orwell' });
+      await Book.create({ title: '1984', authorId: 'a1' });
+
+      await Author.deleteMany({});
+
+      const [book] = await Book.find();
+      expect(book.authorId).toBe('');
+    });
+
+    it('should reject unknown onDelete rules', () => {
+      expect(() => new Model(connection, {
+        schema: { authorId: { references: { model: 'Author', onDelete: 'explode' } } }
+      })).toThrow("Field 'authorId' has invalid onDelete rule 'explode'");
+    });
+
+    it('should reject setNull on a required field', () => {
+      expect(() => new Model(connection, {
+        schema: { authorId: { required: true, references: { model: 'Author', onDelete: 'setNull' } } }
+      })).toThrow(SchemaError);
+    });
+  });
+
+  describe('hooks', () => {
+    let posts;
+
+    beforeEach(() => {
+      posts = connection.defineModel('Post', {
+        schema: {
+          id: { type: 'string' },
+          title: { type: 'string', required: true },
+          slug: { type: 'string' },
+          email: { type: 'string' }
+        },
+        timestamps: false,
+        hooks: {
+          beforeCreate: [
+            (data) => { data.email = data.email && data.email.trim().toLowerCase(); },
+            async (data) => { data.slug = data.title.toLowerCase().replace(/\s+/g, '-'); }
+          ]
+        }
+      });
+    });
+
+    it('should let before hooks change the payload', async () => {
+      const post = await posts.create({ title: 'Hello World', email: ' Ann@Example.COM ' });
+
+      expect(post).toMatchObject({ slug: 'hello-world', email: 'ann@example.com' });
+      expect(await posts.findOne({ slug: 'hello-world' })).not.toBeNull();
+    });
+
+    it("should leave the caller's object unchanged", async () => {
+      const data = { title: 'Hello World', email: ' Ann@Example.COM ' };
+      await posts.create(data);
+      await posts.createMany([data]);
+
+      expect(data).toEqual({ title: 'Hello World', email: ' Ann@Example.COM ' });
+    });
+
+    it('should abort the operation when a hook throws', async () => {
+      posts.on('beforeCreate', () => { throw new Error('Posting is closed'); });
+
+      await expect(posts.create({ title: 'Nope' })).rejects.toThrow('Error creating record in Post: Posting is closed');
+      expect(await posts.count()).toBe(0);
+    });
+
+    it('should run after writes with the stored record', async () => {
+      const audit = [];
+      posts
+        .on('afterCreate', (record) => { audit.push(['create', record.id]); })
+        .on('beforeUpdate', (changes, { previous }) => { changes.slug = `${previous.slug}-v2`; })
+        .on('afterUpdate', (record, { id, previous }) => { audit.push(['update', id, previous.title, record.title]); })
+        .on('afterDelete', (record, { id }) => { audit.push(['delete', id, record.title]); });
+
+      const post = await posts.create({ id: 'p1', title: 'First' });
+      const updated = await posts.update(post.id, { title: 'Second' });
+      await posts.delete(post.id);
+
+      expect(updated.slug).toBe('first-v2');
+      expect(audit).toEqual([
+        ['create', 'p1'],
+        ['update', 'p1', 'First', 'Second'],
+        ['delete', 'p1', 'Second']
+      ]);
+    });
+
+    it('should run once per record in batch operations', async () => {
+      const beforeUpdate = jest.fn((changes, { previous }) => { changes.email = `${previous.id}@example.com`; });
+      const beforeDelete = jest.fn();
+      posts.on('beforeUpdate', beforeUpdate).on('beforeDelete', beforeDelete);
+
+      const { data } = await posts.createMany([{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }]);
+      expect(data.map(post => post.slug)).toEqual(['a', 'b']);
+
+      const updated = await posts.updateMany({}, { title: 'Same' });
+      expect(updated.data.map(post => post.email)).toEqual(['a@example.com', 'b@example.com']);
+      expect(beforeUpdate).toHaveBeenCalledTimes(2);
+
+      await posts.deleteMany({ id: 'a' });
+      expect(beforeDelete).toHaveBeenCalledWith(expect.objectContaining({ id: 'a' }), expect.objectContaining({ id: 'a' }));
+    });
+
+    it('should post-process loaded records with afterFind', async () => {
+      await posts.create({ id: 'p1', title: 'Secret', email: 'ann@example.com' });
+      posts.on('afterFind', (record) => { record.email = record.email.replace(/^[^@]+/, '***'); });
+
+      expect((await posts.findById('p1')).email).toBe('***@example.com');
+      expect((await posts.find())[0].email).toBe('***@example.com');
+      expect((await posts.findAll()).data[0].email).toBe('***@example.com');
+      expect(await posts.query().pluck('email')).toEqual(['***@example.com']);
+    });
+
+    it('should reject unknown hooks and remove registered ones', async () => {
+      expect(() => posts.on('beforeSave', () => {})).toThrow(SchemaError);
+
+      const hook = jest.fn();
+      posts.on('afterCreate', hook).off('afterCreate', hook);
+      await posts.create({ title: 'Quiet' });
+      expect(hook).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('paranoid', () => {
+    let notes;
+
+    beforeEach(async () => {
+      notes = connection.defineModel('Note', {
+        schema: { id: { type: 'string' }, text: { type: 'string' } },
+        paranoid: true
+      });
+      await notes.createMany([{ id: 'n1', text: 'keep' }, { id: 'n2', text: 'oops' }]);
+    });
+
+    it('should add a deletedAt column after the timestamps', async () => {
+      await notes.init();
+      expect(connection.adapter.sheets.Note.headerValues)
+        .toEqual(['id', 'text', 'createdAt', 'updatedAt', 'deletedAt']);
+    });
+
+    it('should refuse to soft-delete on a sheet without a deletedAt column', async () => {
+      const adapter = new InMemoryAdapter({
+        sheets: { Note: [['id', 'text', 'createdAt', 'updatedAt'], ['n1', 'keep', '', '']] }
+      });
+      const orm = new GoogleSheetsORM({ adapter });
+      const legacy = orm.defineModel('Note', {
+        schema: { id: { type: 'string' }, text: { type: 'string' } },
+        paranoid: true,
+        strict: 'ignore'
+      });
+
+      await expect(legacy.delete('n1')).rejects.toThrow("Sheet Note has no 'deletedAt' column, which paranoid: true needs");
+      await expect(legacy.deleteMany({})).rejects.toThrow(SchemaError);
+      await expect(legacy.restore('n1')).rejects.toThrow(SchemaError);
+      expect(await legacy.findById('n1')).toMatchObject({ text: 'keep' });
+      await expect(legacy.delete('n1', { force: true })).resolves.toBe(true);
+    });
+
+    it('should stamp deletedAt instead of removing the row', async () => {
+      expect(await notes.delete('n2')).toBe(true);
+
+      const sheet = connection.adapter.sheets.Note;
+      expect(sheet.values).toHaveLength(2);
+      expect(sheet.values[1][4]).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+      expect(await notes.delete('n2')).toBe(false);
+    });
+
+    it('should hide soft-deleted records unless asked for', async () => {
+      await notes.delete('n2');
+
+      expect(await notes.findById('n2')).toBeNull();
+      expect((await notes.findById('n2', { withDeleted: true })).text).toBe('oops');
+      expect((await notes.findAll()).data.map(note => note.id)).toEqual(['n1']);
+      expect((await notes.findAll({ onlyDeleted: true })).data.map(note => note.id)).toEqual(['n2']);
+      expect((await notes.find({ where: {}, withDeleted: true })).map(note => note.id)).toEqual(['n1', 'n2']);
+      expect(await notes.find({ text: 'oops' })).toEqual([]);
+      expect(await notes.count()).toBe(1);
+      expect(await notes.count({}, { withDeleted: true })).toBe(2);
+      expect(await notes.count({ text: 'oops' }, { onlyDeleted: true })).toBe(1);
+      expect(await notes.query().onlyDeleted().pluck('id')).toEqual(['n2']);
+      expect(await notes.update('n2', { text: 'edited' })).toBeNull();
+    });
+
+    it('should restore soft-deleted records', async () => {
+      await notes.delete('n2');
+
+      expect((await notes.restore('n2')).deletedAt).toBe('');
+      expect(await notes.count()).toBe(2);
+      expect(await notes.restore('missing')).toBeNull();
+    });
+
+    it('should remove rows for good with forceDelete and force', async () => {
+      await notes.delete('n2');
+      expect(await notes.forceDelete('n2')).toBe(true);
+      expect(await notes.count({}, { withDeleted: true })).toBe(1);
+
+      await notes.truncate();
+      expect(connection.adapter.sheets.Note.values).toHaveLength(1);
+      expect(await notes.count()).toBe(0);
+
+      await notes.truncate({ force: true });
+      expect(connection.adapter.sheets.Note.values).toHaveLength(0);
+    });
+
+    it('should soft-delete in batches and skip rows already deleted', async () => {
+      await notes.delete('n1');
+      const { count } = await notes.deleteMany({});
+
+      expect(count).toBe(1);
+      expect(await notes.count({}, { onlyDeleted: true })).toBe(2);
+    });
+
+    it('should refuse restore() on models that are not paranoid', async () => {
+      await expect(model.restore('1')).rejects.toThrow('restore() needs a paranoid model; User is not paranoid');
+    });
+  });
+
+  describe('versioning', () => {
+    let accounts;
+
+    beforeEach(async () => {
+      accounts = connection.defineModel('Account', {
+        schema: { id: { type: 'string' }, balance: { type: 'number' } },
+        versioning: true
+      });
+      await accounts.create({ id: 'a1', balance: 10 });
+    });
+
+    it('should start at version 1 and bump it on every update', async () => {
+      expect((await accounts.findById('a1')).version).toBe(1);
+      expect((await accounts.update('a1', { balance: 20, version: 99 })).version).toBe(2);
+
+      const { data } = await accounts.updateMany({}, { balance: 30 });
+      expect(data[0].version).toBe(3);
+    });
+
+    it('should let only one of two concurrent updates with the same version through', async () => {
+      const results = await Promise.all([
+        accounts.update('a1', { balance: 90 }, { expectedVersion: 1 }).catch(e => e),
+        accounts.update('a1', { balance: 50 }, { expectedVersion: 1 }).catch(e => e)
+      ]);
+
+      expect(results.filter(result => result instanceof VersionConflictError)).toHaveLength(1);
+      expect(await accounts.findById('a1')).toMatchObject({ version: 2 });
+    });
+
+    it('should check the version again just before writing', async () => {
+      // Another process writes the row while the hooks run
+      accounts.on('beforeUpdate', async () => {
+        const sheet = connection.adapter.sheets.Account;
+        const [row] = await sheet.getRows();
+        row.version = '5';
+        await sheet.saveRows([row]);
+      });
+
+      await expect(accounts.update('a1', { balance: 1 }, { expectedVersion: 1 }))
+        .rejects.toBeInstanceOf(VersionConflictError);
+    });
+
+    it('should reject updates based on a stale version', async () => {
+      const read = await accounts.findById('a1');
+      await accounts.update('a1', { balance: 15 }, { expectedVersion: read.version });
+
+      const error = await accounts.update('a1', { balance: 5 }, { expectedVersion: read.version }).catch(e => e);
+
+      expect(error).toBeInstanceOf(VersionConflictError);
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.message).toBe("Record 'a1' in Account was changed by someone else (expected version 1, found 2)");
+      expect((await accounts.findById('a1')).balance).toBe(15);
+    });
+
+    it('should accept updatedAt as the concurrency token', async () => {
+      const read = await accounts.findById('a1');
+      const sheet = connection.adapter.sheets.Account;
+      sheet.values[0][sheet.headerValues.indexOf('updatedAt')] = '2030-01-01T00:00:00.000Z';
+
+      await expect(accounts.update('a1', { balance: 1 }, { expectedUpdatedAt: read.updatedAt }))
+        .rejects.toMatchObject({ name: 'VersionConflictError', field: 'updatedAt' });
+      await expect(accounts.update('a1', { balance: 1 }, { expectedUpdatedAt: new Date('2030-01-01') }))
+        .resolves.toMatchObject({ balance: 1 });
+    });
+
+    it('should treat rows without a version as version 0', async () => {
+      const sheet = connection.adapter.sheets.Account;
+      sheet.values[0][sheet.headerValues.indexOf('version')] = '';
+
+      await expect(accounts.update('a1', { balance: 2 }, { expectedVersion: 0 })).resolves.toMatchObject({ version: 1 });
+    });
+
+    it('should bump the version on soft delete and restore', async () => {
+      const notes = connection.defineModel('Note', {
+        schema: { id: { type: 'string' }, text: { type: 'string' } },
+        paranoid: true,
+        versioning: true
+      });
+      await notes.create({ id: 'n1', text: 'draft' });
+
+      await notes.delete('n1');
+      const restored = await notes.restore('n1');
+
+      expect(restored.version).toBe(3);
+      await expect(notes.update('n1', { text: 'stale' }, { expectedVersion: 1 }))
+        .rejects.toBeInstanceOf(VersionConflictError);
+    });
+
+    it('should refuse versioned updates on a sheet without a version column', async () => {
+      const adapter = new InMemoryAdapter({
+        sheets: { Account: [['id', 'balance', 'createdAt', 'updatedAt'], ['a1', '10', '', '']] }
+      });
+      const orm = new GoogleSheetsORM({ adapter });
+      const legacy = orm.defineModel('Account', {
+        schema: { id: { type: 'string' }, balance: { type: 'number' } },
+        versioning: true,
+        strict: 'ignore'
+      });
+
+      await expect(legacy.update('a1', { balance: 5 }, { expectedVersion: 0 }))
+        .rejects.toThrow("Sheet Account has no 'version' column, which versioning: true needs");
+      await expect(legacy.update('a1', { balance: 5 })).rejects.toThrow(SchemaError);
+      expect((await legacy.findById('a1')).balance).toBe(10);
+    });
+
+    it('should need versioning for expectedVersion', async () => {
+      const user = await model.create({ name: 'Alice' });
+      await expect(model.update(user.id, { age: 3 }, { expectedVersion: 1 })).rejects.toThrow(SchemaError);
+    });
+  });
+
+  describe('idStrategy', () => {
+    it('should give concurrent creates distinct ULIDs by default', async () => {
+      const users = await Promise.all([1, 2, 3, 4, 5].map(i => model.create({ name: `User ${i}` })));
+      const ids = users.map(user => user.id);
+
+      expect(new Set(ids).size).toBe(5);
+      ids.forEach(id => expect(id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/));
+    });
+
+    it('should fill in a custom primary key', async () => {
+      const orders = connection.defineModel('Order', {
+        primaryKey: 'orderId',
+        schema: { orderId: { type: 'string', required: true }, total: { type: 'number' } },
+        idStrategy: 'uuid'
+      });
+
+      const order = await orders.create({ total: 5 });
+      expect(order.orderId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      await expect(orders.findById(order.orderId)).resolves.toMatchObject({ total: 5 });
+    });
+
+    it('should give a custom primary key a ULID by default', async () => {
+      const products = connection.defineModel('Product', {
+        primaryKey: 'sku',
+        schema: { sku: { type: 'string' }, name: { type: 'string' } }
+      });
+
+      const x = await products.create({ name: 'x' });
+      const y = await products.create({ name: 'y' });
+      expect(x.sku).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+      expect(y.sku).not.toBe(x.sku);
+    });
+
+    it('should leave the primary key to the caller without a strategy', async () => {
+      const orders = connection.defineModel('Order', {
+        primaryKey: 'orderId',
+        schema: { orderId: { type: 'string' } },
+        idStrategy: null
+      });
+
+      await expect(orders.create({})).rejects.toThrow("Field 'orderId' is required");
+      await expect(orders.createMany([{ orderId: 'o1' }, {}])).rejects.toBeInstanceOf(ValidationError);
+      await expect(orders.create({ orderId: 'o1' })).resolves.toMatchObject({ orderId: 'o1' });
+    });
+
+    it('should increment from the highest stored id, even under concurrency', async () => {
+      const tickets = connection.defineModel('Ticket', {
+        schema: { id: { type: 'number' }, title: { type: 'string' } },
+        idStrategy: 'increment'
+      });
+      await tickets.createMany([{ id: 7, title: 'imported' }, { title: 'next' }]);
+
+      const created = await Promise.all([
+        tickets.create({ title: 'a' }),
+        tickets.createMany([{ title: 'b' }, { title: 'c' }]),
+        tickets.create({ title: 'd' })
+      ]);
+
+      const ids = [created[0].id, ...created[1].data.map(ticket => ticket.id), created[2].id];
+      expect(ids.sort((a, b) => a - b)).toEqual([9, 10, 11, 12]);
+      expect((await tickets.findById(8)).title).toBe('next');
+    });
+
+    it('should not hand out the same id to two connections', async () => {
+      const adapter = new InMemoryAdapter();
+      const define = orm => orm.defineModel('Ticket', {
+        schema: { id: { type: 'number' }, title: { type: 'string' } },
+        idStrategy: 'increment'
+      });
+      const [web, cron] = ['web', 'cron']
+        .map(owner => define(new GoogleSheetsORM({ adapter, locks: { owner, retryDelay: 5 } })));
+      await web.create({ title: 'first' });
+      await cron.init();
+
+      await Promise.all([web.create({ title: 'a' }), cron.create({ title: 'b' }), web.create({ title: 'c' })]);
+
+      const ids = adapter.sheets.Ticket.values.map(row => row[0]);
+      expect(ids.sort()).toEqual(['1', '2', '3', '4']);
+      const locks = adapter.sheets._locks.values;
+      expect(locks.every(row => row[0] === 'Ticket:ids')).toBe(true);
+      expect(locks.filter(row => row[3]).every(claim => locks.some(row => row[2] === claim[2] && row[5]))).toBe(true);
+    });
+
+    it('should store incremented ids as strings for string keys', async () => {
+      const tickets = connection.defineModel('Ticket', {
+        schema: { id: { type: 'string' } },
+        idStrategy: 'increment'
+      });
+
+      await expect(tickets.create({})).resolves.toMatchObject({ id: '1' });
+    });
+
+    it('should call a custom generator with the record', async () => {
+      const slugs = connection.defineModel('Post', {
+        schema: { id: { type: 'string' }, title: { type: 'string' } },
+        idStrategy: async (record) => record.title.toLowerCase().replace(/\s+/g, '-')
+      });
+
+      await expect(slugs.create({ title: 'Hello World' })).resolves.toMatchObject({ id: 'hello-world' });
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => connection.defineModel('Post', { schema: {}, idStrategy: 'random' }))
+        .toThrow("Invalid idStrategy 'random' (expected uuid, ulid, nanoid, increment or a function)");
+    });
+  });
+
+  describe('cache', () => {
+    let cached;
+    let sheet;
+
+    beforeEach(async () => {
+      cached = connection.defineModel('Cached', {
+        schema: { id: { type: 'string' }, name: { type: 'string' } },
+        cache: { ttl: 1000 }
+      });
+      await cached.init();
+      await cached.createMany([{ id: '1', name: 'Alice' }, { id: '2', name: 'Bob' }]);
+      sheet = watchSheet(connection, 'Cached');
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should serve repeated reads from one snapshot', async () => {
+      await cached.count();
+      await cached.findById('1');
+      await cached.exists({ name: 'Bob' });
+      await cached.findAll();
+
+      expect(sheet.getRows).toHaveBeenCalledTimes(1);
+    });
+
+    it('should share one read between concurrent callers', async () => {
+      await Promise.all([cached.findAll(), cached.find({ name: 'Bob' }), cached.count()]);
+      expect(sheet.getRows).toHaveBeenCalledTimes(1);
+    });
+
+    it('should expire after the ttl', async () => {
+      jest.useFakeTimers({ now: Date.now() });
+      await cached.count();
+      jest.advanceTimersByTime(1001);
+      await cached.count();
+
+      expect(sheet.getRows).toHaveBeenCalledTimes(2);
+    });
+
+    it('should invalidate on the model\'s own writes', async () => {
+      expect(await cached.count()).toBe(2);
+      await cached.create({ id: '3', name: 'Charlie' });
+      expect(await cached.count()).toBe(3);
+
+      await cached.update('1', { name: 'Alicia' });
+      expect((await cached.findById('1')).name).toBe('Alicia');
+    });
+
+    it('should reload on refresh() and drop snapshots on clearCache()', async () => {
+      await cached.count();
+      sheet.values.push(['4', 'Dave', '', '']);
+      expect(await cached.count()).toBe(2);
+
+      await cached.refresh();
+      expect(await cached.count()).toBe(3);
+
+      sheet.values.pop();
+      cached.clearCache();
+      expect(await cached.count()).toBe(2);
+    });
+
+    it('should not cache models without the option', async () => {
+      const sheet = watchSheet(connection, 'User');
+      await model.count();
+      await model.count();
+      expect(sheet.getRows).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('field types', () => {
+    it('should store typed values as cell strings and read them back', async () => {
+      const orders = connection.defineModel('Order', {
+        schema: {
+          id: { type: 'string' },
+          status: { type: 'enum', values: ['open', 'paid'], defaultValue: 'open' },
+          items: { type: 'array', items: { type: 'integer' } },
+          shipping: { type: 'object', schema: { city: { type: 'string' } } }
+        },
+        timestamps: false
+      });
+
+      const created = await orders.create({ id: 'o1', items: [2, 3], shipping: { city: 'Oslo' } });
+      expect(connection.adapter.sheets.Order.values[0]).toEqual(['o1', 'open', '[2,3]', '{"city":"Oslo"}']);
+      expect(created).toEqual({ id: 'o1', status: 'open', items: [2, 3], shipping: { city: 'Oslo' } });
+
+      await orders.update('o1', { items: [4] });
+      expect((await orders.findById('o1')).items).toEqual([4]);
+
+      await expect(orders.create({ status: 'lost' }))
+        .rejects
+        .toThrow("Field 'status' must be one of open, paid");
+    });
+  });
+
+  describe('schema drift', () => {
+    const schema = {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string' }
+    };
+
+    beforeEach(async () => {
+      // Header edited by hand: 'email' renamed to 'mail' and moved before 'name'
+      await connection.adapter.addSheet('Contact', ['id', 'mail', 'name']);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should warn about missing and extra columns by default', async () => {
+      await connection.defineModel('Contact', { schema, timestamps: false }).init();
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(
+        'Sheet Contact does not match the Contact schema: missing columns email; unexpected columns mail'
+      ));
+    });
+
+    it('should refuse to initialize in strict error mode', async () => {
+      const contacts = connection.defineModel('Contact', { schema, timestamps: false, strict: 'error' });
+
+      await expect(contacts.findAll()).rejects.toThrow('missing columns email');
+      await expect(contacts.findAll()).rejects.toBeInstanceOf(SchemaError);
+      expect(contacts._initialized).toBe(false);
+
+      await contacts.sync({ drop: true });
+      await expect(contacts.findAll()).resolves.toMatchObject({ data: [] });
+    });
+
+    it('should stay quiet in ignore mode', async () => {
+      await connection.defineModel('Contact', { schema, timestamps: false, strict: 'ignore' }).init();
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('should describe missing, extra and reordered columns', async () => {
+      const contacts = connection.defineModel('Contact', {
+        schema: { id: { type: 'string' }, name: { type: 'string' }, mail: { type: 'string' } },
+        timestamps: false
+      });
+
+      expect(await contacts.describeDrift()).toEqual({
+        missing: [],
+        extra: [],
+        reordered: ['mail', 'name'],
+        hasDrift: true
+      });
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown strict modes', () => {
+      expect(() => new Model(connection, { sheetName: 'Contact', strict: 'loud' }))
+        .toThrow("Invalid strict mode 'loud' (expected error, warn, ignore)");
+    });
+  });
+
+  describe('unique constraints', () => {
+    let accounts;
+
+    beforeEach(async () => {
+      accounts = connection.defineModel('Account', {
+        schema: {
+          id: { type: 'string' },
+          email: { type: 'string', unique: true },
+          plan: { type: 'string', index: true },
+          seats: { type: 'number', index: true }
+        }
+      });
+      await accounts.init();
+      await accounts.createMany([
+        { id: 'a1', email: 'ann@example.com', plan: 'pro', seats: 5 },
+        { id: 'a2', email: 'bob@example.com', plan: 'free', seats: 1 }
+      ]);
+    });
+
+    it('should reject a duplicate unique value on create', async () => {
+      const error = await accounts.create({ email: 'ann@example.com' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(UniqueConstraintError);
+      expect(error).toMatchObject({ model: 'Account', field: 'email', value: 'ann@example.com', conflictId: 'a1' });
+      expect(await accounts.count()).toBe(2);
+    });
+
+    it('should reject a duplicate primary key', async () => {
+      await expect(accounts.create({ id: 'a2', email: 'new@example.com' }))
+        .rejects.toMatchObject({ field: 'id', conflictId: 'a2' });
+    });
+
+    it('should reject a primary key another connection has written', async () => {
+      const adapter = new InMemoryAdapter();
+      const define = orm => orm.defineModel('Tag', { schema: { id: { type: 'string' }, label: { type: 'string' } } });
+      const [web, cron] = [new GoogleSheetsORM({ adapter }), new GoogleSheetsORM({ adapter })].map(define);
+      await web.init();
+      await cron.init();
+
+      await cron.create({ id: 'js', label: 'JavaScript' });
+      const error = await web.create({ id: 'js', label: 'Java' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(UniqueConstraintError);
+      expect(error).toMatchObject({ field: 'id', conflictId: 'js' });
+      expect(adapter.sheets.Tag.values).toHaveLength(1);
+    });
+
+    it('should reject duplicates within a batch', async () => {
+      const error = await accounts.createMany([
+        { email: 'cy@example.com' },
+        { email: 'cy@example.com' }
+      ]).catch(e => e);
+
+      expect(error).toBeInstanceOf(UniqueConstraintError);
+      expect(error.message).toContain('duplicated within the batch');
+      expect(await accounts.count()).toBe(2);
+    });
+
+    it('should allow updating a record without touching its own value', async () => {
+      await accounts.update('a1', { email: 'ann@example.com', plan: 'team' });
+      await expect(accounts.update('a1', { email: 'bob@example.com' }))
+        .rejects.toBeInstanceOf(UniqueConstraintError);
+    });
+
+    it('should reject updateMany that gives several rows the same value', async () => {
+      await expect(accounts.updateMany({}, { email: 'same@example.com' }))
+        .rejects.toBeInstanceOf(UniqueConstraintError);
+    });
+
+    it('should ignore empty values', async () => {
+      await accounts.createMany([{ plan: 'free' }, { plan: 'free' }]);
+      expect(await accounts.count()).toBe(4);
+    });
+
+    it('should answer equality lookups from the field index', async () => {
+      expect((await accounts.find({ plan: 'free' })).map(a => a.id)).toEqual(['a2']);
+      expect(accounts._fieldIndexes.get('plan').get('pro')).toHaveLength(1);
+      expect(accounts._indexCandidates(accounts._indexSource, { seats: 1 })).toHaveLength(1);
+      expect((await accounts.find({ seats: { $eq: 5 } })).map(a => a.id)).toEqual(['a1']);
+      expect((await accounts.find({ plan: 'free', seats: { $gt: 1 } }))).toEqual([]);
+    });
+  });
+
+  describe('primary key index', () => {
+    let sheet;
+
+    beforeEach(async () => {
+      await model.createMany([
+        { id: 'u1', name: 'Alice' },
+        { id: 'u2', name: 'Bob' },
+        { id: 'u3', name: 'Charlie' },
+        { id: 'u4', name: 'Diana' }
+      ]);
+      sheet = watchSheet(connection, 'User');
+    });
+
+    it('should read only the target row for point lookups and writes', async () => {
+      expect((await model.findById('u3')).name).toBe('Charlie');
+      expect((await model.update('u2', { name: 'Bobby' })).name).toBe('Bobby');
+      expect(await model.delete('u1')).toBe(true);
+
+      sheet.getRows.mock.calls.forEach(([options]) => {
+        expect(options).toEqual(expect.objectContaining({ limit: 1 }));
+      });
+      expect(sheet.values.map(values => values[1])).toEqual(['Bobby', 'Charlie', 'Diana']);
+    });
+
+    it('should shift row numbers after deletes', async () => {
+      await model.deleteMany({ id: { $in: ['u1', 'u3'] } });
+
+      expect((await model.findById('u2')).name).toBe('Bob');
+      expect((await model.findById('u4')).name).toBe('Diana');
+      expect(sheet.getColumn).not.toHaveBeenCalled();
+    });
+
+    it('should build the index on init', async () => {
+      const fresh = new Model(connection, { sheetName: 'User', schema: model.schema });
+      await fresh.init();
+
+      expect(fresh._pkIndex.get('u3')).toBe(4);
+    });
+
+    it('should reload the index when the sheet changed underneath it', async () => {
+      sheet.values.splice(0, 1);
+
+      expect((await model.findById('u3')).name).toBe('Charlie');
+      expect(await model.findById('u1')).toBeNull();
+    });
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * Tests for the GoogleSheetsORM class
  */
-const { GoogleSheetsORM } = require('../lib');
+const { GoogleSheetsORM, InMemoryAdapter, AuthError, NotFoundError, SchemaError } = require('../lib');
 
 // Mock GoogleSpreadsheet
 jest.mock('google-spreadsheet', () => {
@@ -22,6 +22,7 @@ describe('GoogleSheetsORM', () => {
       expect(() => {
         new GoogleSheetsORM({});
       }).toThrow('spreadsheetId is required');
+      expect(() => new GoogleSheetsORM({})).toThrow(SchemaError);
     });
     
     it('should initialize with valid options', () => {
@@ -70,6 +71,7 @@ describe('GoogleSheetsORM', () => {
       await expect(orm.connect())
         .rejects
         .toThrow('No authentication provided for Google Sheets (credentials or apiKey)');
+      await expect(orm.connect()).rejects.toBeInstanceOf(AuthError);
     });
     
     it('should only connect once', async () => {
@@ -164,6 +166,73 @@ describe('GoogleSheetsORM', () => {
       expect(() => {
         orm.model('NonexistentModel');
       }).toThrow("Model 'NonexistentModel' not found");
+      expect(() => orm.model('NonexistentModel')).toThrow(NotFoundError);
+    });
+  });
+
+  describe('getQueueMetrics()', () => {
+    it('should share one scheduler between the ORM and its Google adapter', () => {
+      const orm = new GoogleSheetsORM({
+        spreadsheetId: 'test-spreadsheet-id',
+        apiKey: 'test-api-key',
+        rateLimit: { concurrency: 2, requestsPerMinute: 30 }
+      });
+
+      expect(orm.adapter.scheduler).toBe(orm.scheduler);
+      expect(orm.scheduler.requestsPerMinute).toBe(30);
+    });
+
+    it('should count API calls made while connecting', async () => {
+      const orm = new GoogleSheetsORM({ spreadsheetId: 'test-spreadsheet-id', apiKey: 'test-api-key' });
+      await orm.connect();
+
+      expect(orm.getQueueMetrics()).toMatchObject({ queued: 0, active: 0, completed: 1 });
+    });
+  });
+
+  describe('clearCache()', () => {
+    it('should clear the cache of every model', () => {
+      const orm = new GoogleSheetsORM({
+        spreadsheetId: 'test-spreadsheet-id',
+        apiKey: 'test-api-key'
+      });
+
+      const userModel = orm.defineModel('User', {
+        schema: { id: { type: 'string' } },
+        cache: { ttl: 30000 }
+      });
+      const productModel = orm.defineModel('Product', {
+        schema: { id: { type: 'string' } }
+      });
+
+      expect(userModel.cache).toEqual({ ttl: 30000 });
+      expect(productModel.cache).toBeNull();
+
+      userModel.clearCache = jest.fn();
+      productModel.clearCache = jest.fn();
+      orm.clearCache();
+
+      expect(userModel.clearCache).toHaveBeenCalled();
+      expect(productModel.clearCache).toHaveBeenCalled();
+    });
+  });
+
+  describe('with an adapter', () => {
+    it('should run without a spreadsheetId or credentials', async () => {
+      const adapter = new InMemoryAdapter();
+      const orm = new GoogleSheetsORM({ adapter });
+      const userModel = orm.defineModel('User', {
+        schema: { id: { type: 'string' }, name: { type: 'string' } },
+        timestamps: false
+      });
+
+      await orm.initModels();
+      await userModel.create({ id: '1', name: 'Alice' });
+
+      expect(orm.doc).toBeNull();
+      expect(adapter.sheets.User.headerValues).toEqual(['id', 'name']);
+      expect(adapter.sheets.User.values).toEqual([['1', 'Alice']]);
+      expect((await userModel.findById('1')).name).toBe('Alice');
     });
   });
 
@@ -0,0 +1,108 @@
+/**
+ * Tests for the API retry policy
+ */
+const { RetryPolicy } = require('../lib/retry');
+const { QuotaExceededError } = require('../lib/errors');
+
+function apiError(status, headers = {}) {
+  const error = new Error(`Google API error - [${status}] Request failed`);
+  error.response = { status, headers };
+  return error;
+}
+
+describe('RetryPolicy', () => {
+  const fast = { minDelay: 1, maxDelay: 5, jitter: 0 };
+
+  it('should retry rate limit and server errors of idempotent requests until they succeed', async () => {
+    const request = jest.fn()
+      .mockRejectedValueOnce(apiError(429))
+      .mockRejectedValueOnce(apiError(503))
+      .mockResolvedValue('rows');
+
+    await expect(new RetryPolicy(fast).run(request, { idempotent: true })).resolves.toBe('rows');
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('should retry dropped connections of idempotent requests', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    const request = jest.fn().mockRejectedValueOnce(reset).mockResolvedValue('ok');
+
+    await expect(new RetryPolicy(fast).run(request, { idempotent: true })).resolves.toBe('ok');
+  });
+
+  it('should retry other requests only on 429, which Google did not apply', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    const server = apiError(502);
+    const append = jest.fn()
+      .mockRejectedValueOnce(apiError(429))
+      .mockRejectedValueOnce(server)
+      .mockRejectedValueOnce(reset);
+
+    await expect(new RetryPolicy(fast).run(append)).rejects.toBe(server);
+    expect(append).toHaveBeenCalledTimes(2);
+    await expect(new RetryPolicy(fast).run(append)).rejects.toBe(reset);
+  });
+
+  it('should not retry other errors', async () => {
+    const error = apiError(400);
+    const request = jest.fn().mockRejectedValue(error);
+
+    await expect(new RetryPolicy(fast).run(request)).rejects.toBe(error);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should throw QuotaExceededError when retries run out on 429s', async () => {
+    const cause = apiError(429);
+    const request = jest.fn().mockRejectedValue(cause);
+
+    const error = await new RetryPolicy({ ...fast, retries: 2 }).run(request).catch(e => e);
+
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error.message).toBe('Sheets API quota exceeded after 2 retries: Google API error - [429] Request failed');
+    expect(error.cause).toBe(cause);
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('should rethrow the last server error when retries run out', async () => {
+    const cause = apiError(500);
+    const request = jest.fn().mockRejectedValue(cause);
+
+    await expect(new RetryPolicy({ ...fast, retries: 1 }).run(request, { idempotent: true })).rejects.toBe(cause);
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('should be disabled with false', async () => {
+    const request = jest.fn().mockRejectedValue(apiError(429));
+
+    await expect(new RetryPolicy(false).run(request)).rejects.toBeInstanceOf(QuotaExceededError);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  describe('delay()', () => {
+    it('should back off exponentially up to maxDelay', () => {
+      const policy = new RetryPolicy({ minDelay: 100, maxDelay: 1000, jitter: 0 });
+      const error = apiError(503);
+
+      expect([0, 1, 2, 3, 4].map(attempt => policy.delay(attempt, error))).toEqual([100, 200, 400, 800, 1000]);
+    });
+
+    it('should randomize part of the delay', () => {
+      const policy = new RetryPolicy({ minDelay: 1000, jitter: 0.5 });
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+
+      expect(policy.delay(0, apiError(503))).toBe(500);
+      Math.random.mockRestore();
+    });
+
+    it('should honour Retry-After in seconds or as a date', () => {
+      const policy = new RetryPolicy({ minDelay: 1, jitter: 0 });
+
+      expect(policy.delay(0, apiError(429, { 'retry-after': '7' }))).toBe(7000);
+
+      const later = new Date(Date.now() + 60000).toUTCString();
+      const delay = policy.delay(0, apiError(429, { 'retry-after': later }));
+      expect(delay).toBeGreaterThan(58000);
+      expect(delay).toBeLessThanOrEqual(60000);
+    });
+  });
+});
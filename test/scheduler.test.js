@@ -0,0 +1,74 @@
+/**
+ * Tests for the shared request scheduler
+ */
+const { RequestScheduler } = require('../lib/scheduler');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('RequestScheduler', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should cap the number of requests in flight', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    let running = 0;
+    let peak = 0;
+
+    const results = Promise.all(gates.map((gate, i) => scheduler.schedule(async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await gate.promise;
+      running--;
+      return i;
+    })));
+
+    await Promise.resolve();
+    expect(scheduler.metrics()).toMatchObject({ active: 2, queued: 1, maxQueued: 1 });
+
+    gates.forEach(gate => gate.resolve());
+    await expect(results).resolves.toEqual([0, 1, 2]);
+    expect(peak).toBe(2);
+    expect(scheduler.metrics()).toMatchObject({ active: 0, queued: 0, completed: 3 });
+  });
+
+  it('should hold requests back once the per-minute budget is spent', async () => {
+    jest.useFakeTimers();
+    const scheduler = new RequestScheduler({ requestsPerMinute: 2 });
+    const request = jest.fn().mockResolvedValue('ok');
+
+    const results = Promise.all([1, 2, 3].map(() => scheduler.schedule(request)));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(scheduler.metrics()).toMatchObject({ queued: 1, requestsLastMinute: 2, throttled: 1 });
+
+    await jest.advanceTimersByTimeAsync(60000);
+    await expect(results).resolves.toEqual(['ok', 'ok', 'ok']);
+    expect(request).toHaveBeenCalledTimes(3);
+    expect(scheduler.metrics().averageWait).toBe(20000);
+  });
+
+  it('should pass failures through and keep going', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const failing = scheduler.schedule(() => Promise.reject(new Error('boom')));
+    const next = scheduler.schedule(() => Promise.resolve('next'));
+
+    await expect(failing).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('next');
+    expect(scheduler.metrics()).toMatchObject({ completed: 1, failed: 1 });
+  });
+
+  it('should not throttle when disabled', async () => {
+    const scheduler = new RequestScheduler(false);
+    const request = jest.fn().mockResolvedValue('ok');
+
+    await Promise.all(Array.from({ length: 100 }, () => scheduler.schedule(request)));
+    expect(scheduler.metrics()).toMatchObject({ completed: 100, throttled: 0, maxQueued: 1 });
+  });
+});
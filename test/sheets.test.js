@@ -0,0 +1,54 @@
+/**
+ * Tests for the SheetsManager class
+ */
+const { google } = require('googleapis');
+const { SheetsManager, RequestScheduler } = require('../lib');
+
+jest.mock('google-auth-library', () => ({
+  GoogleAuth: jest.fn()
+}));
+
+jest.mock('googleapis', () => ({
+  google: {
+    drive: jest.fn(() => ({ permissions: { create: jest.fn() } })),
+    sheets: jest.fn()
+  }
+}));
+
+function apiError(status) {
+  const error = new Error(`Google API error - [${status}] Request failed`);
+  error.response = { status, headers: {} };
+  return error;
+}
+
+describe('SheetsManager', () => {
+  const credentials = { client_email: 'test@example.com', private_key: 'key' };
+  const retry = { minDelay: 1, maxDelay: 5, jitter: 0 };
+  let spreadsheets;
+
+  beforeEach(() => {
+    spreadsheets = { get: jest.fn(), create: jest.fn(), batchUpdate: jest.fn() };
+    google.sheets.mockReturnValue({ spreadsheets });
+  });
+
+  it('should retry a rate-limited read through the scheduler until it succeeds', async () => {
+    spreadsheets.get
+      .mockRejectedValueOnce(apiError(429))
+      .mockResolvedValue({ data: { sheets: [{ properties: { sheetId: 0, title: 'Users', index: 0 } }] } });
+    const scheduler = new RequestScheduler(false);
+    const manager = new SheetsManager({ credentials, retry, scheduler });
+
+    await expect(manager.listSheets('sheet-id')).resolves.toEqual([{ id: 0, title: 'Users', index: 0 }]);
+    expect(spreadsheets.get).toHaveBeenCalledTimes(2);
+    expect(spreadsheets.get).toHaveBeenCalledWith({ spreadsheetId: 'sheet-id' });
+    expect(scheduler.metrics()).toMatchObject({ completed: 1, failed: 1 });
+  });
+
+  it('should not repeat a write after a server error', async () => {
+    spreadsheets.batchUpdate.mockRejectedValue(apiError(503));
+    const manager = new SheetsManager({ credentials, retry, rateLimit: false });
+
+    await expect(manager.addSheet('sheet-id', 'Orders')).rejects.toThrow('Failed to add sheet');
+    expect(spreadsheets.batchUpdate).toHaveBeenCalledTimes(1);
+  });
+});
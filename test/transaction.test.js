@@ -0,0 +1,231 @@
+/**
+ * Tests for transactions across models
+ */
+const GoogleSheetsORM = require('../lib/orm');
+const { InMemoryAdapter } = require('../lib/adapters');
+const { NotFoundError, RollbackError, ValidationError, VersionConflictError } = require('../lib/errors');
+
+describe('transactions', () => {
+  let orm;
+  let adapter;
+  let authorModel;
+  let bookModel;
+  let bookTagModel;
+
+  const cells = title => adapter.sheets[title].values;
+
+  beforeEach(async () => {
+    adapter = new InMemoryAdapter();
+    orm = new GoogleSheetsORM({ adapter });
+
+    authorModel = orm.defineModel('Author', {
+      schema: {
+        id: { type: 'string' },
+        name: { type: 'string', required: true }
+      },
+      timestamps: false
+    });
+    bookModel = orm.defineModel('Book', {
+      schema: {
+        id: { type: 'string' },
+        title: { type: 'string', required: true },
+        authorId: { type: 'string', references: { model: 'Author', onDelete: 'cascade' } }
+      },
+      timestamps: false
+    });
+    bookTagModel = orm.defineModel('BookTag', {
+      schema: {
+        id: { type: 'string' },
+        bookId: { type: 'string', references: { model: 'Book', onDelete: 'cascade' } },
+        tag: { type: 'string', required: true }
+      },
+      timestamps: false
+    });
+    await orm.initModels();
+  });
+
+  it('should write an author, their books and tags, batching creates per model', async () => {
+    const addRows = jest.spyOn(adapter.sheets.Book, 'addRows');
+
+    const result = await orm.transaction(async (tx) => {
+      const author = await tx.model('Author').create({ name: 'Le Guin' });
+      const books = await tx.model('Book').createMany([
+        { title: 'The Dispossessed', authorId: author.id },
+        { title: 'The Lathe of Heaven', authorId: author.id }
+      ]);
+      await tx.model('BookTag').create({ bookId: books[0].id, tag: 'utopia' });
+      return author.id;
+    });
+
+    expect((await authorModel.findById(result)).name).toBe('Le Guin');
+    expect(await bookModel.count({ authorId: result })).toBe(2);
+    expect(await bookTagModel.count()).toBe(1);
+    expect(addRows).toHaveBeenCalledTimes(1);
+  });
+
+  it('should assign increment ids on commit, under the id lock', async () => {
+    const define = connection => connection.defineModel('Ticket', {
+      schema: { id: { type: 'number' }, title: { type: 'string' } },
+      idStrategy: 'increment'
+    });
+    const [web, cron] = ['web', 'cron'].map(owner => new GoogleSheetsORM({ adapter, locks: { owner, retryDelay: 5 } }));
+    await define(web).init();
+    await define(cron).init();
+
+    const tickets = await Promise.all([web, cron].map(connection => connection.transaction(async (tx) => {
+      const ticket = await tx.model('Ticket').create({ title: connection.locks.owner });
+      expect(ticket.id).toBeUndefined();
+      return ticket;
+    })));
+
+    expect(tickets.map(ticket => ticket.id).sort()).toEqual([1, 2]);
+    expect(cells('Ticket').map(row => row[0]).sort()).toEqual(['1', '2']);
+  });
+
+  it('should write nothing if the callback throws', async () => {
+    await expect(orm.transaction(async (tx) => {
+      await tx.model('Author').create({ name: 'Le Guin' });
+      throw new Error('changed my mind');
+    })).rejects.toThrow('changed my mind');
+
+    expect(cells('Author')).toEqual([]);
+  });
+
+  it('should delete rows it created when a later write fails', async () => {
+    const error = await orm.transaction(async (tx) => {
+      const author = await tx.model('Author').create({ name: 'Le Guin' });
+      const book = await tx.model('Book').create({ title: 'The Dispossessed', authorId: author.id });
+      await tx.model('BookTag').create({ bookId: book.id });
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(cells('Author')).toEqual([]);
+    expect(cells('Book')).toEqual([]);
+  });
+
+  it('should restore updated and deleted rows, including cascaded deletes', async () => {
+    const author = await authorModel.create({ id: 'a1', name: 'Le Guin' });
+    await bookModel.createMany([
+      { id: 'b1', title: 'The Dispossessed', authorId: 'a1' },
+      { id: 'b2', title: 'Always Coming Home', authorId: 'a1' }
+    ]);
+    await authorModel.create({ id: 'a2', name: 'Butler' });
+    const before = { Author: [...cells('Author')], Book: [...cells('Book')] };
+
+    await expect(orm.transaction(async (tx) => {
+      await tx.model('Author').update(author.id, { name: 'Ursula K. Le Guin' });
+      await tx.model('Book').update('b2', { title: 'Always Coming Home (2019)' });
+      await tx.model('Author').delete('a1');
+      await tx.model('Book').create({ title: 'Orphan', authorId: 'a1' });
+    })).rejects.toThrow("references missing Author record(s): a1");
+
+    expect(cells('Author')).toHaveLength(2);
+    expect(cells('Author')).toEqual(expect.arrayContaining(before.Author));
+    expect(cells('Book')).toEqual(expect.arrayContaining(before.Book));
+    expect(cells('Book')).toHaveLength(2);
+    expect((await authorModel.findById('a1')).name).toBe('Le Guin');
+    expect(await bookModel.count({ authorId: 'a1' })).toBe(2);
+  });
+
+  it('should clear deletedAt again when a soft delete is undone', async () => {
+    const noteModel = orm.defineModel('Note', {
+      schema: { id: { type: 'string' }, text: { type: 'string', required: true } },
+      paranoid: true
+    });
+    await noteModel.create({ id: 'n1', text: 'keep me' });
+
+    await expect(orm.transaction(async (tx) => {
+      await tx.model('Note').delete('n1');
+      await tx.model('Note').create({});
+    })).rejects.toBeInstanceOf(ValidationError);
+
+    expect(await noteModel.findById('n1')).toMatchObject({ text: 'keep me', deletedAt: '' });
+  });
+
+  it('should write old values back as a new version', async () => {
+    const accountModel = orm.defineModel('Account', {
+      schema: { id: { type: 'string' }, balance: { type: 'number', min: 0 } },
+      versioning: true
+    });
+    await accountModel.create({ id: 'x1', balance: 10 });
+
+    await expect(orm.transaction(async (tx) => {
+      await tx.model('Account').update('x1', { balance: 5 });
+      await tx.model('Account').update('x1', { balance: -1 });
+    })).rejects.toBeInstanceOf(ValidationError);
+
+    expect(await accountModel.findById('x1')).toMatchObject({ balance: 10, version: 3 });
+  });
+
+  it('should restore a row the transaction wrote twice', async () => {
+    const accountModel = orm.defineModel('Account', {
+      schema: { id: { type: 'string' }, balance: { type: 'number', min: 0 } },
+      versioning: true
+    });
+    await accountModel.create({ id: 'x1', balance: 10 });
+
+    await expect(orm.transaction(async (tx) => {
+      await tx.model('Account').update('x1', { balance: 5 });
+      await tx.model('Account').update('x1', { balance: 1 });
+      await tx.model('Account').update('x1', { balance: -1 });
+    })).rejects.toBeInstanceOf(ValidationError);
+
+    expect(await accountModel.findById('x1')).toMatchObject({ balance: 10, version: 5 });
+  });
+
+  it('should not undo over a change made outside the transaction', async () => {
+    const accountModel = orm.defineModel('Account', {
+      schema: { id: { type: 'string' }, balance: { type: 'number', min: 0 } },
+      versioning: true
+    });
+    await accountModel.createMany([{ id: 'x1', balance: 10 }, { id: 'x2', balance: 20 }]);
+    const tx = orm.transaction(async (t) => {
+      await t.model('Account').updateMany({ id: { $in: ['x1', 'x2'] } }, { balance: 0 });
+      await t.model('Author').create({});
+    });
+
+    // Someone else updates x1 between the transaction's write and its failure
+    const original = authorModel.createMany.bind(authorModel);
+    jest.spyOn(authorModel, 'createMany').mockImplementation(async (...args) => {
+      await accountModel.update('x1', { balance: 7 });
+      return original(...args);
+    });
+
+    const error = await tx.catch(e => e);
+    expect(error).toBeInstanceOf(RollbackError);
+    expect(error.errors[0]).toBeInstanceOf(VersionConflictError);
+    expect(error.errors[0]).toMatchObject({ id: 'x1', field: 'version', expected: '2', actual: '3' });
+    expect(await accountModel.findById('x1')).toMatchObject({ balance: 7 });
+    expect(await accountModel.findById('x2')).toMatchObject({ balance: 20 });
+  });
+
+  it('should report writes that could not be undone', async () => {
+    await authorModel.create({ id: 'a1', name: 'Le Guin' });
+    const tx = orm.transaction(async (t) => {
+      await t.model('Author').update('a1', { name: 'Ursula' });
+      await t.model('Book').create({ title: 'The Dispossessed', authorId: 'a9' });
+    });
+
+    // Someone else deletes the author between the update and the failing create
+    const original = bookModel.createMany.bind(bookModel);
+    jest.spyOn(bookModel, 'createMany').mockImplementation(async (...args) => {
+      await adapter.sheets.Author.deleteRows(await adapter.sheets.Author.getRows());
+      return original(...args);
+    });
+
+    const error = await tx.catch(e => e);
+    expect(error).toBeInstanceOf(RollbackError);
+    expect(error.cause).toBeInstanceOf(ValidationError);
+    expect(error.errors[0]).toBeInstanceOf(NotFoundError);
+  });
+
+  it('should refuse writes after the transaction has committed', async () => {
+    let saved;
+    await orm.transaction(async (tx) => {
+      saved = tx;
+    });
+
+    await expect(saved.model('Author').create({ name: 'Late' }))
+      .rejects.toThrow('Cannot queue writes on a transaction that is committed');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for schema types
+ */
+const { serializeValue, deserializeValue } = require('../lib/types');
+const { validateData } = require('../lib/utils');
+
+describe('Types', () => {
+  describe('validation', () => {
+    const schema = {
+      status: { type: 'enum', values: ['active', 'inactive'] },
+      quantity: { type: 'integer', min: 1 },
+      email: { type: 'email' },
+      website: { type: 'url' },
+      token: { type: 'uuid' },
+      tags: { type: 'array', items: { type: 'string', maxLength: 5 } },
+      address: {
+        type: 'object',
+        schema: {
+          city: { type: 'string', required: true },
+          zip: { type: 'integer' }
+        }
+      }
+    };
+
+    it('should accept valid values', async () => {
+      await expect(validateData({
+        status: 'active',
+        quantity: 3,
+        email: 'ann@example.com',
+        website: 'https://example.com/a?b=c',
+        token: '123e4567-e89b-42d3-a456-426614174000',
+        tags: ['a', 'b'],
+        address: { city: 'Oslo', zip: 150 }
+      }, schema)).resolves.toBe(true);
+    });
+
+    it.each([
+      [{ status: 'deleted' }, "Field 'status' must be one of active, inactive"],
+      [{ quantity: 1.5 }, "Field 'quantity' should be of type integer"],
+      [{ quantity: 0 }, "Field 'quantity' must be at least 1"],
+      [{ email: 'ann@example' }, "Field 'email' should be of type email"],
+      [{ website: 'example.com' }, "Field 'website' should be of type url"],
+      [{ token: 'not-a-uuid' }, "Field 'token' should be of type uuid"],
+      [{ tags: 'a,b' }, "Field 'tags' should be of type array"],
+      [{ tags: ['ok', 'too long'] }, "Field 'tags[1]' must be at most 5 characters"],
+      [{ address: { zip: 'x' } }, "Field 'address.city' is required, Field 'address.zip' should be of type integer"]
+    ])('should reject %j', async (data, message) => {
+      await expect(validateData(data, schema)).rejects.toThrow(message);
+    });
+
+    it('should treat empty cells as no value for format types', async () => {
+      await expect(validateData({ status: '', email: '', token: '' }, schema)).resolves.toBe(true);
+    });
+  });
+
+  describe('serialization', () => {
+    it('should round-trip arrays and nested objects through cell strings', () => {
+      const tags = { type: 'array', items: { type: 'date' } };
+      const cell = serializeValue([new Date('2024-01-02T00:00:00.000Z')], tags);
+
+      expect(cell).toBe('["2024-01-02T00:00:00.000Z"]');
+      expect(deserializeValue(cell, tags)[0]).toEqual(new Date('2024-01-02T00:00:00.000Z'));
+
+      const address = { type: 'object', schema: { since: { type: 'date' } } };
+      const stored = serializeValue({ city: 'Oslo', since: new Date(0) }, address);
+      expect(deserializeValue(stored, address)).toEqual({ city: 'Oslo', since: new Date(0) });
+    });
+
+    it('should read hand-typed comma-separated lists as arrays', () => {
+      expect(deserializeValue('1, 2,3', { type: 'array', items: { type: 'integer' } })).toEqual([1, 2, 3]);
+      expect(deserializeValue('', { type: 'array' })).toEqual([]);
+    });
+
+    it('should read enum cells back as the declared option', () => {
+      expect(deserializeValue('2', { type: 'enum', values: [1, 2, 3] })).toBe(2);
+      expect(deserializeValue('TRUE', { type: 'boolean' })).toBe(true);
+      expect(deserializeValue('', { type: 'integer' })).toBeNull();
+    });
+  });
+});
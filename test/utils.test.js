@@ -4,11 +4,14 @@
 const {
     applyDefaults,
     validateData,
+    validateDataSync,
     filterRecords,
     sortRecords,
     applyQueryOptions,
+    columnToLetter,
     generateId
   } = require('../lib/utils');
+const { SchemaError, ValidationError } = require('../lib/errors');
     
   describe('Utilities', () => {
     describe('applyDefaults()', () => {
@@ -52,7 +55,7 @@ const {
         active: { type: 'boolean' }
       };
       
-      it('should validate data against schema', () => {
+      it('should validate data against schema', async () => {
         const validData = {
           id: '123',
           name: 'Test User',
@@ -61,29 +64,29 @@ const {
           active: true
         };
         
-        expect(() => validateData(validData, schema)).not.toThrow();
+        await expect(validateData(validData, schema)).resolves.toBe(true);
       });
       
-      it('should validate partial data in update mode', () => {
+      it('should validate partial data in update mode', async () => {
         const partialData = {
           name: 'Updated Name',
           age: 31
         };
         
-        expect(() => validateData(partialData, schema, { partial: true })).not.toThrow();
+        await expect(validateData(partialData, schema, { partial: true })).resolves.toBe(true);
       });
       
-      it('should throw error for missing required fields', () => {
+      it('should throw error for missing required fields', async () => {
         const invalidData = {
           id: '123',
           // name is missing
           email: 'test@example.com'
         };
         
-        expect(() => validateData(invalidData, schema)).toThrow("Field 'name' is required");
+        await expect(validateData(invalidData, schema)).rejects.toThrow("Field 'name' is required");
       });
       
-      it('should throw error for incorrect types', () => {
+      it('should throw error for incorrect types', async () => {
         const invalidData = {
           id: '123',
           name: 'Test User',
@@ -92,17 +95,17 @@ const {
           active: true
         };
         
-        expect(() => validateData(invalidData, schema)).toThrow("Field 'age' should be of type number");
+        await expect(validateData(invalidData, schema)).rejects.toThrow("Field 'age' should be of type number");
       });
       
-      it('should validate string length', () => {
+      it('should validate string length', async () => {
         const tooShortName = {
           id: '123',
           name: 'A', // Too short (min 2)
           email: 'test@example.com'
         };
         
-        expect(() => validateData(tooShortName, schema)).toThrow("Field 'name' must be at least 2 characters");
+        await expect(validateData(tooShortName, schema)).rejects.toThrow("Field 'name' must be at least 2 characters");
         
         const tooLongName = {
           id: '123',
@@ -110,10 +113,10 @@ const {
           email: 'test@example.com'
         };
         
-        expect(() => validateData(tooLongName, schema)).toThrow("Field 'name' must be at most 100 characters");
+        await expect(validateData(tooLongName, schema)).rejects.toThrow("Field 'name' must be at most 100 characters");
       });
       
-      it('should validate number range', () => {
+      it('should validate number range', async () => {
         const negativeAge = {
           id: '123',
           name: 'Test User',
@@ -121,7 +124,7 @@ const {
           age: -5 // Below min 0
         };
         
-        expect(() => validateData(negativeAge, schema)).toThrow("Field 'age' must be at least 0");
+        await expect(validateData(negativeAge, schema)).rejects.toThrow("Field 'age' must be at least 0");
         
         const tooOld = {
           id: '123',
@@ -130,10 +133,129 @@ const {
           age: 150 // Above max 120
         };
         
-        expect(() => validateData(tooOld, schema)).toThrow("Field 'age' must be at most 120");
+        await expect(validateData(tooOld, schema)).rejects.toThrow("Field 'age' must be at most 120");
       });
     });
     
+    describe('validateData() rules', () => {
+      it('should report every problem as a structured entry', async () => {
+        const schema = {
+          name: { type: 'string', required: true },
+          code: { type: 'string', pattern: /^[A-Z]{3}$/ },
+          age: { type: 'number', min: 18 }
+        };
+
+        const error = await validateData({ code: 'abc', age: 12 }, schema).catch(e => e);
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.errors).toEqual([
+          { field: 'name', rule: 'required', message: "Field 'name' is required", value: undefined },
+          { field: 'code', rule: 'pattern', message: "Field 'code' does not match the required format", value: 'abc' },
+          { field: 'age', rule: 'min', message: "Field 'age' must be at least 18", value: 12 }
+        ]);
+        expect(error.message).toBe(
+          "Validation failed: Field 'name' is required, Field 'code' does not match the required format, " +
+          "Field 'age' must be at least 18"
+        );
+      });
+
+      it('should accept patterns given as strings and custom messages', async () => {
+        const schema = { sku: { type: 'string', pattern: '^SKU-\\d+$', message: 'Use SKU-123 format' } };
+
+        await expect(validateData({ sku: 'SKU-42' }, schema)).resolves.toBe(true);
+        await expect(validateData({ sku: '' }, schema)).resolves.toBe(true);
+        await expect(validateData({ sku: '42' }, schema)).rejects.toThrow('Use SKU-123 format');
+      });
+
+      it('should run sync and async custom validators with the whole record', async () => {
+        const schema = {
+          password: { type: 'string' },
+          confirm: {
+            type: 'string',
+            validate: (value, record) => value === record.password || 'Passwords do not match'
+          },
+          username: {
+            type: 'string',
+            validate: async (value) => value !== 'taken'
+          },
+          email: {
+            type: 'string',
+            validate: () => { throw new Error('Email service unavailable'); }
+          }
+        };
+
+        const error = await validateData(
+          { password: 'a', confirm: 'b', username: 'taken', email: 'x' },
+          schema
+        ).catch(e => e);
+
+        expect(error.errors.map(({ field, rule, message }) => ({ field, rule, message }))).toEqual([
+          { field: 'confirm', rule: 'validate', message: 'Passwords do not match' },
+          { field: 'username', rule: 'validate', message: "Field 'username' is invalid" },
+          { field: 'email', rule: 'validate', message: 'Email service unavailable' }
+        ]);
+      });
+
+      it('should pass the merged record to validators on partial updates', async () => {
+        const validate = jest.fn(() => true);
+        const schema = { end: { type: 'number', validate } };
+
+        await validateData({ end: 5 }, schema, { partial: true, record: { start: 1, end: 5 } });
+        expect(validate).toHaveBeenCalledWith(5, { start: 1, end: 5 });
+      });
+
+      it('should skip custom validators when the type is wrong', async () => {
+        const validate = jest.fn();
+        await expect(validateData({ age: 'old' }, { age: { type: 'number', validate } })).rejects.toThrow();
+        expect(validate).not.toHaveBeenCalled();
+      });
+
+      it('should skip an array validator when an async item validator fails', async () => {
+        const validate = jest.fn(() => true);
+        const schema = {
+          tags: { type: 'array', items: { type: 'string', validate: async tag => tag !== 'bad' }, validate }
+        };
+
+        await expect(validateData({ tags: ['ok', 'bad'] }, schema)).rejects.toThrow("Field 'tags[1]' is invalid");
+        expect(validate).not.toHaveBeenCalled();
+        await expect(validateData({ tags: ['ok'] }, schema)).resolves.toBe(true);
+        expect(validate).toHaveBeenCalledWith(['ok'], { tags: ['ok'] });
+      });
+    });
+
+    describe('validateDataSync()', () => {
+      const schema = {
+        name: { type: 'string', required: true, minLength: 2 },
+        end: { type: 'number', validate: (end, record) => end > record.start || 'end must be after start' }
+      };
+
+      it('should return true without a promise', () => {
+        expect(validateDataSync({ name: 'Ann', start: 1, end: 2 }, schema)).toBe(true);
+      });
+
+      it('should throw a ValidationError synchronously', () => {
+        let error;
+        try {
+          validateDataSync({ name: 'A', start: 3, end: 2 }, schema);
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.errors.map(({ field, rule }) => ({ field, rule }))).toEqual([
+          { field: 'name', rule: 'minLength' },
+          { field: 'end', rule: 'validate' }
+        ]);
+      });
+
+      it('should reject async validators', () => {
+        const asyncSchema = { username: { type: 'string', validate: async () => true } };
+
+        expect(() => validateDataSync({ username: 'ann' }, asyncSchema)).toThrow(SchemaError);
+        expect(validateDataSync({}, asyncSchema)).toBe(true);
+      });
+    });
+
     describe('filterRecords()', () => {
       const records = [
         { id: '1', name: 'Alice', age: 30, active: true, dept: 'HR' },
@@ -178,12 +300,85 @@ const {
       });
       
       it('should filter with $like operator', () => {
-        // Updated test to match the expected behavior
-        // Using "^a" to ensure only names starting with "a" (case-insensitive) are matched
-        const results = filterRecords(records, { name: { $like: '^a' } });
+        const results = filterRecords(records, { name: { $like: 'a%' } });
         expect(results.length).toBe(1);
         expect(results[0].name).toBe('Alice');
       });
+
+      it('should match $like patterns against the whole value', () => {
+        const names = criteria => filterRecords(records, { name: criteria }).map(r => r.name);
+
+        expect(names({ $like: '%e' })).toEqual(['Alice', 'Charlie', 'Eve']);
+        expect(names({ $like: '_ob' })).toEqual(['Bob']);
+        expect(names({ $like: 'e' })).toEqual([]);
+      });
+
+      it('should treat regex characters in $like patterns literally', () => {
+        const tricky = [{ name: '(J)ane' }, { name: 'Jane' }, { name: 'a.b' }, { name: 'axb' }];
+
+        expect(filterRecords(tricky, { name: { $like: '(J%' } })).toEqual([{ name: '(J)ane' }]);
+        expect(filterRecords(tricky, { name: { $like: 'a.b' } })).toEqual([{ name: 'a.b' }]);
+      });
+      
+      it('should apply every operator given for a field', () => {
+        const results = filterRecords(records, { age: { $gte: 25, $lte: 35 } });
+        expect(results.map(r => r.name)).toEqual(['Alice', 'Bob', 'Diana']);
+      });
+      
+      it('should accept bare operator names as aliases', () => {
+        const results = filterRecords(records, {
+          age: { gt: 24 },
+          name: { contains: 'a' }
+        });
+        expect(results.map(r => r.name)).toEqual(['Charlie', 'Diana']);
+      });
+      
+      it('should compare dates', () => {
+        const dated = [
+          { id: '1', joined: new Date('2020-01-01') },
+          { id: '2', joined: new Date('2023-06-01') }
+        ];
+        const results = filterRecords(dated, { joined: { $gt: '2021-01-01' } });
+        expect(results.map(r => r.id)).toEqual(['2']);
+      });
+      
+      it('should throw on unknown operators', () => {
+        expect(() => filterRecords(records, { age: { $between: [1, 2] } }))
+          .toThrow("Unknown query operator '$between'");
+        expect(() => filterRecords(records, { age: { $between: [1, 2] } }))
+          .toThrow(ValidationError);
+      });
+      
+      it('should support $or groups', () => {
+        const results = filterRecords(records, {
+          $or: [{ dept: 'HR' }, { age: { $gt: 36 } }]
+        });
+        expect(results.map(r => r.name)).toEqual(['Alice', 'Charlie']);
+      });
+      
+      it('should support $not on criteria and on a field', () => {
+        expect(filterRecords(records, { $not: { active: true } }).map(r => r.name))
+          .toEqual(['Charlie']);
+        expect(filterRecords(records, { age: { $not: { $lt: 35 } } }).map(r => r.name))
+          .toEqual(['Charlie', 'Diana']);
+      });
+      
+      it('should nest $and, $or and $not to any depth', () => {
+        const results = filterRecords(records, {
+          active: true,
+          $or: [
+            { dept: 'Engineering', $not: { age: { $gt: 30 } } },
+            { $and: [{ age: { $lt: 25 } }, { $or: [{ dept: 'Marketing' }, { dept: 'Sales' }] }] }
+          ]
+        });
+        expect(results.map(r => r.name)).toEqual(['Bob', 'Eve']);
+      });
+      
+      it('should reject a non-array $or', () => {
+        expect(() => filterRecords(records, { $or: { dept: 'HR' } }))
+          .toThrow("'$or' expects an array of conditions");
+        expect(() => filterRecords(records, { $and: 'HR' })).toThrow(ValidationError);
+      });
       
       it('should combine multiple criteria', () => {
         const results = filterRecords(records, {
@@ -218,6 +413,11 @@ const {
         expect(ages).toEqual([40, 35, 30, 25, 22]);
       });
       
+      it('should accept "field:direction" strings', () => {
+        const results = sortRecords(records, 'age:desc');
+        expect(results.map(r => r.age)).toEqual([40, 35, 30, 25, 22]);
+      });
+      
       it('should sort by multiple fields', () => {
         // Updated test to match actual implementation behavior
         // First sort by dept (ascending), then by age (ascending)
@@ -264,6 +464,15 @@ const {
       });
     });
     
+    describe('columnToLetter()', () => {
+      it('should convert column numbers to A1 letters', () => {
+        expect(columnToLetter(1)).toBe('A');
+        expect(columnToLetter(26)).toBe('Z');
+        expect(columnToLetter(27)).toBe('AA');
+        expect(columnToLetter(703)).toBe('AAA');
+      });
+    });
+    
     describe('generateId()', () => {
       it('should generate a unique string', () => {
         const id1 = generateId();